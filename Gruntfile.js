@@ -17,11 +17,20 @@ module.exports = function(grunt) {
           'src/noise.js',
           'src/core.js',
           'src/images.js',
+          'src/formats.js',
           'src/filters.js',
           'src/generators.js',
           'src/materials.js',
           'src/scatter.js',
           'src/influences.js',
+          'src/query.js',
+          'src/geomipmap.js',
+          'src/geoclipmap.js',
+          'src/polygonReduction.js',
+          'src/water.js',
+          'src/layers.js',
+          'src/sculpt.js',
+          'src/export.js',
         ],
         dest: 'build/THREE.Terrain.js',
         nonull: true,
@@ -48,6 +57,40 @@ module.exports = function(grunt) {
         },
       },
     },
+    // ES and CommonJS modules that import `three` instead of using the global
+    // THREE object. Each target is a module that can be imported on its own;
+    // `imports` lists other modules whose functions it calls, and `from` makes
+    // a module that re-exports functions included in another one. Modules that
+    // are listed in `imports` only add functions to `Terrain`, so they also
+    // need to be listed under `sideEffects` in package.json.
+    modules: {
+      options: {
+        banner: banner,
+        esm: 'build/esm',
+        cjs: 'build/cjs',
+      },
+      core: ['src/noise.js', 'src/core.js', 'src/images.js', 'src/filters.js'],
+      images: { src: ['src/images.js'], from: 'core' },
+      filters: { src: ['src/filters.js'], from: 'core' },
+      formats: ['src/formats.js'],
+      generators: { src: ['src/generators.js'], imports: ['influences'] },
+      materials: ['src/materials.js'],
+      scatter: ['src/scatter.js'],
+      influences: ['src/influences.js'],
+      query: ['src/query.js'],
+      geomipmap: ['src/geomipmap.js'],
+      geoclipmap: ['src/geoclipmap.js'],
+      polygonReduction: ['src/polygonReduction.js'],
+      water: ['src/water.js'],
+      layers: ['src/layers.js'],
+      sculpt: ['src/sculpt.js'],
+      'export': ['src/export.js'],
+      analysis: { src: ['src/analysis.js'], imports: ['water'] },
+      gaussian: ['src/gaussian.js'],
+      weightedBoxBlurGaussian: { src: ['src/weightedBoxBlurGaussian.js'], imports: ['gaussian'] },
+      worley: ['src/worley.js'],
+      brownian: { src: ['src/brownian.js'], imports: ['generators'] },
+    },
     jshint: {
       options: {
         trailing: true,
@@ -58,6 +101,7 @@ module.exports = function(grunt) {
           'src/noise.js',
           'src/core.js',
           'src/images.js',
+          'src/formats.js',
           'src/filters.js',
           'src/gaussian.js',
           'src/weightedBoxBlurGaussian.js',
@@ -68,6 +112,14 @@ module.exports = function(grunt) {
           'src/worley.js',
           'src/brownian.js',
           'src/analysis.js',
+          'src/query.js',
+          'src/geomipmap.js',
+          'src/geoclipmap.js',
+          'src/polygonReduction.js',
+          'src/water.js',
+          'src/layers.js',
+          'src/sculpt.js',
+          'src/export.js',
           'Gruntfile.js',
         ],
       },
@@ -81,6 +133,7 @@ module.exports = function(grunt) {
         'src/noise.js',
         'src/core.js',
         'src/images.js',
+        'src/formats.js',
         'src/filters.js',
         'src/gaussian.js',
         'src/weightedBoxBlurGaussian.js',
@@ -91,6 +144,14 @@ module.exports = function(grunt) {
         'src/worley.js',
         'src/brownian.js',
         'src/analysis.js',
+        'src/query.js',
+        'src/geomipmap.js',
+        'src/geoclipmap.js',
+        'src/polygonReduction.js',
+        'src/water.js',
+        'src/layers.js',
+        'src/sculpt.js',
+        'src/export.js',
         'Gruntfile.js',
       ],
     },
@@ -99,6 +160,7 @@ module.exports = function(grunt) {
         'src/noise.js',
         'src/core.js',
         'src/images.js',
+        'src/formats.js',
         'src/filters.js',
         'src/gaussian.js',
         'src/weightedBoxBlurGaussian.js',
@@ -106,8 +168,16 @@ module.exports = function(grunt) {
         'src/materials.js',
         'src/scatter.js',
         'src/influences.js',
+        'src/query.js',
+        'src/geomipmap.js',
+        'src/geoclipmap.js',
+        'src/polygonReduction.js',
+        'src/water.js',
+        'src/layers.js',
+        'src/sculpt.js',
+        'src/export.js',
       ],
-      tasks: ['concat', 'uglify'],
+      tasks: ['concat', 'uglify', 'modules', 'modules-index'],
     },
   });
 
@@ -116,6 +186,82 @@ module.exports = function(grunt) {
   grunt.loadNpmTasks('grunt-contrib-jshint');
   grunt.loadNpmTasks('grunt-jscs');
   grunt.loadNpmTasks('grunt-contrib-watch');
-  grunt.registerTask('default', ['concat', 'uglify', 'jshint', 'jscs']);
+
+  grunt.registerMultiTask('modules', 'Build ES and CommonJS modules.', function() {
+    var options = this.options(),
+        name = this.target,
+        files = this.data.src || this.data,
+        imports = this.data.imports || [],
+        banner = grunt.template.process(options.banner),
+        source = '',
+        names = [],
+        esm = banner + '\n',
+        cjs = banner + '\n';
+    files.forEach(function(file) {
+      var code = grunt.file.read(file),
+          pattern = /^[ \t]*THREE\.Terrain\.([A-Za-z_$][\w$]*) = /gm,
+          match;
+      while ((match = pattern.exec(code))) {
+        if (names.indexOf(match[1]) === -1) names.push(match[1]);
+      }
+      // Keep noise.js from attaching `noise` to the global object.
+      if (file === 'src/noise.js') {
+        code = 'var noise = (function(globalThis) {\n' + code + 'return globalThis.noise;\n})({});\n';
+      }
+      source += code + grunt.util.linefeed;
+    });
+    if (name === 'core') names.unshift('Terrain', 'noise');
+
+    if (this.data.from) {
+      esm += 'export { ' + names.join(', ') + ' } from \'./' + this.data.from + '.mjs\';\n';
+      cjs += 'var from = require(\'./' + this.data.from + '.cjs\');\n';
+      names.forEach(function(n) {
+        cjs += 'exports.' + n + ' = from.' + n + ';\n';
+      });
+    }
+    else {
+      esm += 'import * as THREE_ from \'three\';\n';
+      cjs += 'var THREE_ = require(\'three\');\n';
+      if (name === 'core') {
+        esm += 'var THREE = Object.assign({}, THREE_);\n';
+        cjs += 'var THREE = Object.assign({}, THREE_);\n';
+      }
+      else {
+        esm += 'import { Terrain, noise } from \'./core.mjs\';\n';
+        cjs += 'var core = require(\'./core.cjs\'), Terrain = core.Terrain, noise = core.noise;\n';
+        imports.forEach(function(i) {
+          esm += 'import \'./' + i + '.mjs\';\n';
+          cjs += 'require(\'./' + i + '.cjs\');\n';
+        });
+        esm += 'var THREE = Object.assign({}, THREE_, { Terrain: Terrain });\n';
+        cjs += 'var THREE = Object.assign({}, THREE_, { Terrain: Terrain });\n';
+      }
+      esm += '\n' + source + '\n';
+      cjs += '\n' + source + '\n';
+      names.forEach(function(n) {
+        var value = n === 'noise' ? n : n === 'Terrain' ? 'THREE.Terrain' : 'THREE.Terrain.' + n;
+        esm += 'var _' + n + ' = ' + value + ';\n';
+        cjs += 'exports.' + n + ' = ' + value + ';\n';
+      });
+      esm += 'export { ' + names.map(function(n) { return '_' + n + ' as ' + n; }).join(', ') + ' };\n';
+    }
+    grunt.file.write(options.esm + '/' + name + '.mjs', esm);
+    grunt.file.write(options.cjs + '/' + name + '.cjs', cjs);
+  });
+  grunt.registerTask('modules-index', 'Build the entry point that exports every module.', function() {
+    var modules = grunt.config('modules'),
+        options = modules.options,
+        banner = grunt.template.process(options.banner),
+        esm = banner + '\n',
+        cjs = banner + '\n';
+    Object.keys(modules).forEach(function(name) {
+      if (name === 'options' || modules[name].from) return;
+      esm += 'export * from \'./' + name + '.mjs\';\n';
+      cjs += 'Object.assign(exports, require(\'./' + name + '.cjs\'));\n';
+    });
+    grunt.file.write(options.esm + '/index.mjs', esm);
+    grunt.file.write(options.cjs + '/index.cjs', cjs);
+  });
+  grunt.registerTask('default', ['concat', 'uglify', 'modules', 'modules-index', 'jshint', 'jscs']);
   grunt.registerTask('lint', ['jshint', 'jscs']);
 };
@@ -198,9 +198,587 @@ THREE.Terrain.Analyze = function(mesh, options) {
             ),
         },
         // # of different kinds of features http://www.armystudyguide.com/content/army_board_study_guide_topics/land_navigation_map_reading/identify-major-minor-terr.shtml
+        landforms: THREE.Terrain.ClassifyLandforms(mesh, options),
     };
 };
 
+/**
+ * The names of the kinds of landforms, in the order of their numeric labels.
+ *
+ * See {@link THREE.Terrain.ClassifyLandforms}.
+ */
+THREE.Terrain.LANDFORMS = [
+    'flat',
+    'peak',
+    'ridge',
+    'shoulder',
+    'slope',
+    'footslope',
+    'valley',
+    'pit',
+    'saddle',
+];
+
+/**
+ * Classify each vertex of a terrain by the kind of landform it is part of.
+ *
+ * Vertices that are higher than all their neighbors are peaks; vertices lower
+ * than all their neighbors are pits (vertices on the edges of the terrain and
+ * vertices level with any neighbor are neither); and vertices whose neighbors
+ * alternate between higher and lower at least twice around them are saddles
+ * (passes).
+ * Other vertices are classified by the slope and curvature of the terrain:
+ *
+ * - On gentle slopes, where the terrain curves down in every direction it is
+ *   a peak and where it curves up in every direction it is a pit; where it
+ *   curves down in one direction and up in another it is a saddle; where it
+ *   only curves down or up it is a ridge or valley; otherwise it is flat.
+ * - On steeper slopes, where the terrain curves down or up across the slope
+ *   it is a ridge or valley; otherwise where it curves down or up along the
+ *   slope it is a shoulder (the top of a slope) or footslope (the bottom of a
+ *   slope); otherwise it is a plain slope.
+ *
+ * @param {THREE.Mesh} mesh
+ *   The terrain mesh to analyze.
+ * @param {Object} options
+ *   The map of settings that were passed to `THREE.Terrain()` to construct the
+ *   terrain mesh that is being analyzed. Requires at least `maxHeight`,
+ *   `minHeight`, `xSegments`, `xSize`, `ySegments`, and `ySize` properties.
+ * @param {Object} [params]
+ *   A map of settings for the classification:
+ *   - `flatSlope`: The angle in radians between the ground and the horizontal
+ *     below which the terrain counts as flat for the purposes of
+ *     classification. Defaults to ~0.05, which is 3 degrees.
+ *   - `curvatureTolerance`: How far a vertex has to be above or below the
+ *     straight line between its opposite neighbors for the terrain to count
+ *     as curved there. Defaults to 0.5% of the difference between `maxHeight`
+ *     and `minHeight`.
+ *
+ * @return {Object}
+ *   An object with a `labels` property, which is a `Uint8Array` with one
+ *   value per vertex (in the same order as the vertices of the terrain)
+ *   holding the index in {@link THREE.Terrain.LANDFORMS} of the vertex's kind
+ *   of landform, and a property for each kind of landform (e.g. `peak`)
+ *   holding the number of vertices of that kind.
+ */
+THREE.Terrain.ClassifyLandforms = function(mesh, options, params) {
+    params = params || {};
+    var xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        dx = options.xSize / options.xSegments,
+        dy = options.ySize / options.ySegments,
+        zs = THREE.Terrain.toArray1D(mesh.geometry.attributes.position.array),
+        flatSlope = Math.tan(typeof params.flatSlope === 'number' ? params.flatSlope : 0.05235987755982988),
+        // A vertex that is this far from the average of its opposite
+        // neighbors has this second derivative.
+        curvature = 2 * (
+            typeof params.curvatureTolerance === 'number' ?
+                params.curvatureTolerance :
+                (options.maxHeight - options.minHeight) * 0.005
+        ) / (dx * dy),
+        // The neighbors in order around the vertex.
+        ringI = [-1, 0, 1, 1, 1, 0, -1, -1],
+        ringJ = [-1, -1, -1, 0, 1, 1, 1, 0],
+        labels = new Uint8Array(zs.length),
+        result = {labels: labels},
+        k;
+    for (k = 0; k < THREE.Terrain.LANDFORMS.length; k++) {
+        result[THREE.Terrain.LANDFORMS[k]] = 0;
+    }
+
+    // Get the elevation at a vertex, repeating the edges beyond the terrain.
+    function z(i, j) {
+        return zs[Math.min(Math.max(j, 0), yl - 1) * xl + Math.min(Math.max(i, 0), xl - 1)];
+    }
+
+    for (var i = 0; i < xl; i++) {
+        for (var j = 0; j < yl; j++) {
+            var v = z(i, j),
+                higher = 0,
+                lower = 0,
+                changes = 0,
+                lastSign = 0,
+                firstSign = 0,
+                label;
+            k = j*xl + i;
+
+            // Compare the vertex with its neighbors.
+            for (var n = 0; n < 8; n++) {
+                var ni = i + ringI[n],
+                    nj = j + ringJ[n];
+                if (ni < 0 || nj < 0 || ni >= xl || nj >= yl) continue;
+                var sign = zs[nj*xl + ni] > v ? 1 : (zs[nj*xl + ni] < v ? -1 : 0);
+                if (sign > 0) higher++;
+                if (sign < 0) lower++;
+                if (sign) {
+                    if (lastSign && sign !== lastSign) changes++;
+                    if (!firstSign) firstSign = sign;
+                    lastSign = sign;
+                }
+            }
+            // Close the ring, unless the vertex is on an edge. Vertices on
+            // an edge are missing neighbors, so they can't be peaks or pits.
+            var interior = i && j && i < xl - 1 && j < yl - 1;
+            if (interior && firstSign && lastSign !== firstSign) changes++;
+
+            if (interior && lower === 8) label = 'peak';
+            else if (interior && higher === 8) label = 'pit';
+            else if (changes >= 4) label = 'saddle';
+            else {
+                // Use the first and second derivatives of the surface as
+                // described by Zevenbergen and Thorne (1987). The y-axis
+                // points toward the first row.
+                var p = (z(i + 1, j) - z(i - 1, j)) / (2 * dx),
+                    q = (z(i, j - 1) - z(i, j + 1)) / (2 * dy),
+                    r = (z(i - 1, j) - 2 * v + z(i + 1, j)) / (dx * dx),
+                    t = (z(i, j - 1) - 2 * v + z(i, j + 1)) / (dy * dy),
+                    s = (z(i + 1, j - 1) - z(i - 1, j - 1) - z(i + 1, j + 1) + z(i - 1, j + 1)) / (4 * dx * dy),
+                    gradient = p * p + q * q;
+                if (gradient < flatSlope * flatSlope) {
+                    // Find the largest and smallest curvature in any
+                    // direction (the eigenvalues of the Hessian).
+                    var middle = (r + t) * 0.5,
+                        spread = Math.sqrt((r - t) * (r - t) * 0.25 + s * s),
+                        max = middle + spread,
+                        min = middle - spread;
+                    if (max < -curvature) label = 'peak';
+                    else if (min > curvature) label = 'pit';
+                    else if (min < -curvature && max > curvature) label = 'saddle';
+                    else if (min < -curvature) label = 'ridge';
+                    else if (max > curvature) label = 'valley';
+                    else label = 'flat';
+                }
+                else {
+                    // Curvature across and along the direction of the slope.
+                    var across = (r * q * q - 2 * s * p * q + t * p * p) / gradient,
+                        along = (r * p * p + 2 * s * p * q + t * q * q) / gradient;
+                    if (across < -curvature) label = 'ridge';
+                    else if (across > curvature) label = 'valley';
+                    else if (along < -curvature) label = 'shoulder';
+                    else if (along > curvature) label = 'footslope';
+                    else label = 'slope';
+                }
+            }
+            labels[k] = THREE.Terrain.LANDFORMS.indexOf(label);
+            result[label]++;
+        }
+    }
+    return result;
+};
+
+/**
+ * Analyze how water would flow over a terrain.
+ *
+ * Flow direction and flow accumulation are calculated for each vertex using
+ * two methods:
+ *
+ * - D8: all water flows to the neighbor down the steepest slope.
+ * - D-infinity (Tarboton, 1997): water flows down the steepest slope of the
+ *   eight triangles around the vertex and is split between the two neighbors
+ *   on either side of that direction in proportion to how close it is to each.
+ *
+ * Depressions are filled first (see {@link THREE.Terrain.FillDepressions}) so
+ * that water always reaches an edge of the terrain; across flat areas, water
+ * flows towards the lowest way out. This requires water.js.
+ *
+ * @param {THREE.Mesh} mesh
+ *   The terrain mesh to analyze.
+ * @param {Object} options
+ *   The map of settings that were passed to `THREE.Terrain()` to construct the
+ *   terrain mesh that is being analyzed. Requires at least `xSegments`,
+ *   `xSize`, `ySegments`, and `ySize` properties.
+ *
+ * @return {Object}
+ *   An object with `d8` and `dInfinity` properties, one for each method. Each
+ *   of them is an object with the following properties:
+ *   - `direction`: A `Float32Array` with one value per vertex, in the same
+ *     order as the vertices of the terrain, holding the direction in which
+ *     water flows from that vertex. Directions are angles in radians
+ *     counterclockwise from the positive x-axis in the terrain mesh's local
+ *     space (so 0 is towards the right edge and `Math.PI / 2` is towards the
+ *     top edge), or -1 where water doesn't flow anywhere (at edges and
+ *     where the terrain is completely flat).
+ *   - `accumulation`: A `Float32Array` with one value per vertex holding the
+ *     number of vertices whose water flows through that vertex, including
+ *     itself. High values indicate streams and rivers.
+ *   - `drawMap`: A function that takes a canvas and draws the flow
+ *     accumulation onto it, one pixel per vertex.
+ */
+THREE.Terrain.AnalyzeFlow = function(mesh, options) {
+    var xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        dx = options.xSize / options.xSegments,
+        dy = options.ySize / options.ySegments,
+        outlets = new Int32Array(xl * yl),
+        filled = THREE.Terrain.FillDepressions(
+            THREE.Terrain.toArray1D(mesh.geometry.attributes.position.array),
+            options,
+            outlets
+        ),
+        receivers = d8Receivers(filled, outlets, xl, yl, dx, dy),
+        d8 = {
+            direction: new Float32Array(filled.length),
+            receivers: new Int32Array(filled.length * 2),
+            fractions: new Float32Array(filled.length * 2),
+        },
+        dInfinity = {
+            direction: new Float32Array(filled.length),
+            receivers: new Int32Array(filled.length * 2),
+            fractions: new Float32Array(filled.length * 2),
+        },
+        // The neighbors in counterclockwise order, starting from the right.
+        // Each pair of consecutive neighbors bounds one triangular facet.
+        offsetI = [1, 1, 0, -1, -1, -1, 0, 1],
+        offsetJ = [0, -1, -1, -1, 0, 1, 1, 1],
+        vectorX = offsetI.map(function(i) { return i * dx; }),
+        vectorY = offsetJ.map(function(j) { return -j * dy; }),
+        lengths = vectorX.map(function(x, n) { return Math.sqrt(x * x + vectorY[n] * vectorY[n]); });
+
+    for (var j = 0; j < yl; j++) {
+        for (var i = 0; i < xl; i++) {
+            var k = j * xl + i,
+                z = filled[k],
+                steepest = 0,
+                n, ni, nj;
+            d8.receivers[k * 2] = d8.receivers[k * 2 + 1] = -1;
+            dInfinity.receivers[k * 2] = dInfinity.receivers[k * 2 + 1] = -1;
+
+            // D8
+            var r = receivers[k];
+            if (r !== -1) {
+                ni = r % xl;
+                nj = (r - ni) / xl;
+                d8.direction[k] = angle((ni - i) * dx, (j - nj) * dy);
+                d8.receivers[k * 2] = r;
+                d8.fractions[k * 2] = 1;
+            }
+            else {
+                d8.direction[k] = -1;
+            }
+
+            // D-infinity
+            for (n = 0; n < 8; n++) {
+                var m = (n + 1) % 8,
+                    ai = i + offsetI[n],
+                    aj = j + offsetJ[n],
+                    bi = i + offsetI[m],
+                    bj = j + offsetJ[m];
+                if (ai < 0 || aj < 0 || ai >= xl || aj >= yl || bi < 0 || bj < 0 || bi >= xl || bj >= yl) continue;
+                var a = aj * xl + ai,
+                    b = bj * xl + bi,
+                    dropA = z - filled[a],
+                    dropB = z - filled[b],
+                    // Solve for the gradient of the facet's plane, then find
+                    // whether the direction down it is between the neighbors.
+                    det = vectorX[n] * vectorY[m] - vectorY[n] * vectorX[m],
+                    downX = (dropA * vectorY[m] - vectorY[n] * dropB) / det,
+                    downY = (vectorX[n] * dropB - dropA * vectorX[m]) / det,
+                    towardA = (downX * vectorY[m] - downY * vectorX[m]) / det,
+                    towardB = (vectorX[n] * downY - vectorY[n] * downX) / det,
+                    facetSlope, facetDirection, fractionB;
+                if (towardA >= 0 && towardB >= 0 && dropA > 0 && dropB > 0) {
+                    facetSlope = Math.sqrt(downX * downX + downY * downY);
+                    facetDirection = angle(downX, downY);
+                    fractionB = angleBetween(downX, downY, vectorX[n], vectorY[n]) /
+                        angleBetween(vectorX[m], vectorY[m], vectorX[n], vectorY[n]);
+                }
+                else if (dropA / lengths[n] >= dropB / lengths[m]) {
+                    facetSlope = dropA / lengths[n];
+                    facetDirection = angle(vectorX[n], vectorY[n]);
+                    fractionB = 0;
+                }
+                else {
+                    facetSlope = dropB / lengths[m];
+                    facetDirection = angle(vectorX[m], vectorY[m]);
+                    fractionB = 1;
+                }
+                if (facetSlope > steepest) {
+                    steepest = facetSlope;
+                    dInfinity.direction[k] = facetDirection;
+                    dInfinity.receivers[k * 2] = a;
+                    dInfinity.receivers[k * 2 + 1] = b;
+                    dInfinity.fractions[k * 2] = 1 - fractionB;
+                    dInfinity.fractions[k * 2 + 1] = fractionB;
+                }
+            }
+            if (!steepest) {
+                dInfinity.direction[k] = d8.direction[k];
+                dInfinity.receivers[k * 2] = d8.receivers[k * 2];
+                dInfinity.fractions[k * 2] = d8.fractions[k * 2];
+            }
+        }
+    }
+
+    return {
+        d8: flowResult(d8, xl, yl),
+        dInfinity: flowResult(dInfinity, xl, yl),
+    };
+};
+
+/**
+ * Partition a terrain into drainage basins (watersheds).
+ *
+ * A drainage basin is the area in which all water drains to the same outlet
+ * at an edge of the terrain. Water flows using the D8 method described in
+ * {@link THREE.Terrain.AnalyzeFlow}, so depressions drain over their lowest
+ * pass into a neighboring basin. This requires water.js.
+ *
+ * Vertices on an edge that water flows straight off of are outlets of their
+ * own basins, so there are often many small basins along the edges; filter
+ * the basins by `area` to find the significant ones.
+ *
+ * @param {THREE.Mesh} mesh
+ *   The terrain mesh to analyze.
+ * @param {Object} options
+ *   The map of settings that were passed to `THREE.Terrain()` to construct the
+ *   terrain mesh that is being analyzed. Requires at least `xSegments`,
+ *   `xSize`, `ySegments`, and `ySize` properties.
+ *
+ * @return {Object}
+ *   An object with the following properties:
+ *   - `ids`: An `Int32Array` with one value per vertex, in the same order as
+ *     the vertices of the terrain, holding the index in `basins` of the basin
+ *     the vertex is in.
+ *   - `basins`: An array of basins, each of which is an object with these
+ *     properties:
+ *     - `area`: The horizontal area of the basin, counting the area of one
+ *       segment per vertex.
+ *     - `vertices`: The number of vertices in the basin.
+ *     - `outlet`: The index of the vertex through which the basin drains.
+ *     - `outletPosition`: A `THREE.Vector3` at the outlet, in the terrain
+ *       mesh's local space.
+ *     - `meanElevation`: The mean elevation of the vertices in the basin.
+ */
+THREE.Terrain.AnalyzeBasins = function(mesh, options) {
+    var xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        dx = options.xSize / options.xSegments,
+        dy = options.ySize / options.ySegments,
+        positions = mesh.geometry.attributes.position.array,
+        elevations = THREE.Terrain.toArray1D(positions),
+        outlets = new Int32Array(elevations.length),
+        receivers = d8Receivers(
+            THREE.Terrain.FillDepressions(elevations, options, outlets),
+            outlets,
+            xl,
+            yl,
+            dx,
+            dy
+        ),
+        ids = new Int32Array(elevations.length).fill(-1),
+        basins = [],
+        path = [],
+        k, p, id;
+
+    for (k = 0; k < elevations.length; k++) {
+        // Follow the water downstream until reaching a vertex whose basin is
+        // known or an outlet, then label the whole path.
+        var c = k;
+        while (ids[c] === -1 && receivers[c] !== -1) {
+            path.push(c);
+            c = receivers[c];
+        }
+        if (ids[c] === -1) {
+            ids[c] = basins.length;
+            basins.push({
+                area: 0,
+                vertices: 0,
+                outlet: c,
+                outletPosition: new THREE.Vector3(positions[c * 3], positions[c * 3 + 1], positions[c * 3 + 2]),
+                meanElevation: 0,
+            });
+        }
+        id = ids[c];
+        for (p = 0; p < path.length; p++) {
+            ids[path[p]] = id;
+        }
+        path.length = 0;
+    }
+
+    for (k = 0; k < elevations.length; k++) {
+        basins[ids[k]].vertices++;
+        basins[ids[k]].meanElevation += elevations[k];
+    }
+    for (id = 0; id < basins.length; id++) {
+        basins[id].area = basins[id].vertices * dx * dy;
+        basins[id].meanElevation /= basins[id].vertices;
+    }
+
+    return {
+        ids: ids,
+        basins: basins,
+    };
+};
+
+/**
+ * Find the neighbor that each vertex drains into using the D8 method.
+ *
+ * Each vertex drains to the neighbor down the steepest slope. Vertices with no
+ * lower neighbor (on flat areas of a filled heightmap) drain toward their
+ * outlet instead.
+ *
+ * @param {Float32Array} filled
+ *   The filled heightmap, from {@link THREE.Terrain.FillDepressions}.
+ * @param {Int32Array} outlets
+ *   The outlet of each vertex, from {@link THREE.Terrain.FillDepressions}.
+ * @param {Number} xl
+ *   The number of vertices along the x-axis of the terrain.
+ * @param {Number} yl
+ *   The number of vertices along the y-axis of the terrain.
+ * @param {Number} dx
+ *   The width of a segment.
+ * @param {Number} dy
+ *   The height of a segment.
+ *
+ * @return {Int32Array}
+ *   The index of the vertex that each vertex drains into, or -1 if it doesn't
+ *   drain into any vertex (at the edges of the terrain).
+ */
+function d8Receivers(filled, outlets, xl, yl, dx, dy) {
+    var receivers = new Int32Array(filled.length);
+    for (var i = 0; i < xl; i++) {
+        for (var j = 0; j < yl; j++) {
+            var k = j*xl + i,
+                steepest = 0;
+            receivers[k] = outlets[k];
+            for (var n = -1; n <= 1; n++) {
+                for (var m = -1; m <= 1; m++) {
+                    if (i+m >= 0 && j+n >= 0 && i+m < xl && j+n < yl && !(n === 0 && m === 0)) {
+                        var slope = (filled[k] - filled[(j+n)*xl + i + m]) / Math.sqrt(m*m*dx*dx + n*n*dy*dy);
+                        if (slope > steepest) {
+                            steepest = slope;
+                            receivers[k] = (j+n)*xl + i + m;
+                        }
+                    }
+                }
+            }
+        }
+    }
+    return receivers;
+}
+
+/**
+ * Get the angle of a vector counterclockwise from the positive x-axis.
+ *
+ * @param {Number} x
+ *   The x-component of the vector.
+ * @param {Number} y
+ *   The y-component of the vector.
+ *
+ * @return {Number}
+ *   The angle in radians, between 0 and 2 * PI.
+ */
+function angle(x, y) {
+    var a = Math.atan2(y, x);
+    return a < 0 ? a + Math.PI * 2 : a;
+}
+
+/**
+ * Get the unsigned angle between two vectors.
+ *
+ * @param {Number} ax
+ *   The x-component of the first vector.
+ * @param {Number} ay
+ *   The y-component of the first vector.
+ * @param {Number} bx
+ *   The x-component of the second vector.
+ * @param {Number} by
+ *   The y-component of the second vector.
+ *
+ * @return {Number}
+ *   The angle in radians, between 0 and PI.
+ */
+function angleBetween(ax, ay, bx, by) {
+    return Math.abs(Math.atan2(ax * by - ay * bx, ax * bx + ay * by));
+}
+
+/**
+ * Accumulate flow and package the results of a flow direction method.
+ *
+ * Each vertex passes its flow to at most two receivers. Vertices are visited
+ * once all the vertices that flow into them have been visited, which is
+ * always possible because water only flows downhill or toward an outlet.
+ *
+ * @param {Object} flow
+ *   An object with the `direction` of each vertex, and the indices of the
+ *   two `receivers` of each vertex (-1 if none) with the `fractions` of the
+ *   flow that they receive.
+ * @param {Number} xl
+ *   The number of vertices along the x-axis of the terrain.
+ * @param {Number} yl
+ *   The number of vertices along the y-axis of the terrain.
+ *
+ * @return {Object}
+ *   The `direction`, `accumulation`, and `drawMap` properties described in
+ *   {@link THREE.Terrain.AnalyzeFlow}.
+ */
+function flowResult(flow, xl, yl) {
+    var l = flow.direction.length,
+        accumulation = new Float32Array(l).fill(1),
+        inflows = new Int32Array(l),
+        queue = [],
+        k, r;
+    for (k = 0; k < l * 2; k++) {
+        if (flow.receivers[k] !== -1 && flow.fractions[k]) inflows[flow.receivers[k]]++;
+    }
+    for (k = 0; k < l; k++) {
+        if (!inflows[k]) queue.push(k);
+    }
+    while (queue.length) {
+        k = queue.pop();
+        for (var n = k * 2; n < k * 2 + 2; n++) {
+            r = flow.receivers[n];
+            if (r === -1 || !flow.fractions[n]) continue;
+            accumulation[r] += accumulation[k] * flow.fractions[n];
+            if (!--inflows[r]) queue.push(r);
+        }
+    }
+    return {
+        direction: flow.direction,
+        accumulation: accumulation,
+        drawMap: function(canvas) {
+            drawMap(accumulation, canvas, xl, yl);
+        },
+    };
+}
+
+/**
+ * Draw flow accumulation as an image with one pixel per vertex.
+ *
+ * Accumulation is drawn on a logarithmic scale so that small streams are
+ * visible next to large rivers.
+ *
+ * @param {Float32Array} accumulation
+ *   The flow accumulation at each vertex.
+ * @param {HTMLCanvasElement} canvas
+ *   The canvas on which to draw the map.
+ * @param {Number} xl
+ *   The number of vertices along the x-axis of the terrain.
+ * @param {Number} yl
+ *   The number of vertices along the y-axis of the terrain.
+ */
+function drawMap(accumulation, canvas, xl, yl) {
+    var context = canvas.getContext('2d'),
+        max = 1;
+    canvas.width = xl;
+    canvas.height = yl;
+    var image = context.createImageData(xl, yl),
+        data = image.data;
+    for (var k = 0, l = accumulation.length; k < l; k++) {
+        if (accumulation[k] > max) max = accumulation[k];
+    }
+    max = Math.log(max) || 1;
+    for (k = 0; k < l; k++) {
+        // Blend from the light to the dark color used for histograms.
+        var t = Math.log(accumulation[k]) / max;
+        data[k * 4] = 144 + (13 - 144) * t;
+        data[k * 4 + 1] = 176 + (42 - 176) * t;
+        data[k * 4 + 2] = 192 + (64 - 192) * t;
+        data[k * 4 + 3] = 255;
+    }
+    context.putImageData(image, 0, 0);
+}
+
 /**
  * Returns the value at a given percentile in a sorted numeric array.
  *
@@ -6,15 +6,16 @@
  * Parameters are the same as those for {@link THREE.Terrain.DiamondSquare}.
  */
 THREE.Terrain.Brownian = function(g, options) {
-    var untouched = [],
+    var random = THREE.Terrain.getRandom(options),
+        untouched = [],
         touched = [],
         smallerSideSize = Math.min(options.xSize, options.ySize),
         changeDirectionProbability = Math.sqrt(smallerSideSize) / smallerSideSize,
         maxHeightAdjust = Math.sqrt(options.maxHeight - options.minHeight),
         xl = options.xSegments + 1,
         yl = options.ySegments + 1,
-        i = Math.floor(Math.random() * options.xSegments),
-        j = Math.floor(Math.random() * options.ySegments),
+        i = Math.floor(random() * options.xSegments),
+        j = Math.floor(random() * options.ySegments),
         x = i,
         y = j,
         numVertices = g.length,
@@ -22,7 +23,7 @@ THREE.Terrain.Brownian = function(g, options) {
             return { z: z };
         }),
         current = vertices[j * xl + i],
-        randomDirection = Math.random() * Math.PI * 2,
+        randomDirection = random() * Math.PI * 2,
         addX = Math.cos(randomDirection),
         addY = Math.sin(randomDirection),
         n,
@@ -34,7 +35,7 @@ THREE.Terrain.Brownian = function(g, options) {
         index;
 
     // Initialize the first vertex.
-    current.z = Math.random() * (options.maxHeight - options.minHeight) + options.minHeight;
+    current.z = random() * (options.maxHeight - options.minHeight) + options.minHeight;
     touched.push(current);
 
     // Walk through all vertices until they've all been adjusted.
@@ -50,9 +51,9 @@ THREE.Terrain.Brownian = function(g, options) {
         }
 
         // Occasionally, pick a random untouched point instead of continuing.
-        if (Math.random() < changeDirectionProbability) {
-            current = untouched.splice(Math.floor(Math.random() * untouched.length), 1)[0];
-            randomDirection = Math.random() * Math.PI * 2;
+        if (random() < changeDirectionProbability) {
+            current = untouched.splice(Math.floor(random() * untouched.length), 1)[0];
+            randomDirection = random() * Math.PI * 2;
             addX = Math.cos(randomDirection);
             addY = Math.sin(randomDirection);
             index = vertices.indexOf(current);
@@ -74,7 +75,7 @@ THREE.Terrain.Brownian = function(g, options) {
 
             // If we hit a touched vertex, look in different directions to try to find an untouched one.
             for (var k = 0; i >= 0 && j >= 0 && i < xl && j < yl && touched.indexOf(vertices[j * xl + i]) !== -1 && k < 9; k++) {
-                randomDirection = Math.random() * Math.PI * 2;
+                randomDirection = random() * Math.PI * 2;
                 addX = Math.cos(randomDirection);
                 addY = Math.sin(randomDirection);
                 while (Math.round(u) === i && Math.round(v) === j) {
@@ -99,8 +100,8 @@ THREE.Terrain.Brownian = function(g, options) {
             // If we couldn't find an untouched vertex near the current point,
             // pick a random untouched vertex instead.
             else {
-                current = untouched.splice(Math.floor(Math.random() * untouched.length), 1)[0];
-                randomDirection = Math.random() * Math.PI * 2;
+                current = untouched.splice(Math.floor(random() * untouched.length), 1)[0];
+                randomDirection = random() * Math.PI * 2;
                 addX = Math.cos(randomDirection);
                 addY = Math.sin(randomDirection);
                 index = vertices.indexOf(current);
@@ -124,8 +125,8 @@ THREE.Terrain.Brownian = function(g, options) {
             }
         }
         if (c) {
-            if (!lastAdjust || Math.random() < changeDirectionProbability) {
-                lastAdjust = Math.random();
+            if (!lastAdjust || random() < changeDirectionProbability) {
+                lastAdjust = random();
             }
             current.z = sum / c + THREE.Terrain.EaseInWeak(lastAdjust) * maxHeightAdjust * 2 - maxHeightAdjust;
         }
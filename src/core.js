@@ -30,14 +30,20 @@
  *     `maxHeight` and `minHeight` parameters.) Defaults to 2.5.
  *   - `heightmap`: Either a canvas or pre-loaded image (from the same domain
  *     as the webpage or served with a CORS-friendly header) representing
- *     terrain height data (lighter pixels are higher); or a function used to
+ *     terrain height data (lighter pixels are higher); raw height data that
+ *     doesn't need a browser, like an `ImageData`-style object or a typed
+ *     array (see {@link THREE.Terrain.fromHeightmap}); or a function used to
  *     generate random height data for the terrain. Valid random functions are
  *     specified in `generators.js` (or custom functions with the same
  *     signature). Ideally heightmap images have the same number of pixels as
  *     the terrain has vertices, as determined by the `xSegments` and
  *     `ySegments` options, but this is not required. If the heightmap is a
  *     different size, vertex height values will be interpolated.) Defaults to
- *     `THREE.Terrain.DiamondSquare`.
+ *     `THREE.Terrain.DiamondSquare`, so it is required if `generators.js` is
+ *     not loaded.
+ *   - `lodDistance`: If `optimization` is `THREE.Terrain.GEOMIPMAP`, the
+ *     distance from the camera at which sections of the terrain stop being
+ *     displayed at full detail. See {@link THREE.Terrain.Geomipmap}.
  *   - `material`: a THREE.Material instance used to display the terrain.
  *     Defaults to `new THREE.MeshBasicMaterial({color: 0xee6633})`.
  *   - `maxHeight`: the highest point, in Three.js units, that a peak should
@@ -50,6 +56,47 @@
  *     removes the cap, but this is generally not recommended because many
  *     generators and filters require a vertical range. Instead, consider
  *     setting the `stretch` option to `false`.
+ *   - `optimization`: the type of optimization to apply to the terrain.
+ *     Valid values include:
+ *
+ *         - `THREE.Terrain.NONE`: Don't apply any optimizations. This is the
+ *           default.
+ *         - `THREE.Terrain.GEOMIPMAP`: Divide the terrain into evenly-sized
+ *           sections with multiple levels of detail. For each section,
+ *           display a level of detail dependent on how close the camera is.
+ *           `xSegments` and `ySegments` should be multiples of a power of two
+ *           close to their square root, such as 256 or 1024. The returned
+ *           object has an `update(camera)` method that must be called each
+ *           frame before rendering. The full-detail mesh is still the first
+ *           child of the returned object, but it is hidden.
+ *         - `THREE.Terrain.GEOCLIPMAP`: Divide the terrain into donut-shaped
+ *           sections, where detail decreases as the radius increases. The
+ *           rings then move to "follow" the camera around so that the camera
+ *           is always at the center, surrounded by the most detail. The rings
+ *           can extend far past the edges of the terrain, which is useful for
+ *           distant horizons. The returned object has an `update(camera)`
+ *           method that must be called each frame before rendering. The
+ *           full-detail mesh is still the first child of the returned object,
+ *           but it is hidden. See {@link THREE.Terrain.Geoclipmap} for
+ *           additional options.
+ *         - `THREE.Terrain.POLYGONREDUCTION`: Combine areas that are nearly
+ *           coplanar into larger polygons. The `reductionTolerance` option
+ *           controls how aggressively this happens. The full-detail mesh is
+ *           still the first child of the returned object, but it is hidden.
+ *           See {@link THREE.Terrain.PolygonReduction}.
+ *
+ *   - `reductionTolerance`: If `optimization` is
+ *     `THREE.Terrain.POLYGONREDUCTION`, the maximum vertical distance between
+ *     the original vertices and the larger polygons that replace them.
+ *     Defaults to 0.5% of the difference between `maxHeight` and `minHeight`.
+ *   - `random`: A function that returns uniformly distributed random numbers
+ *     between 0 (inclusive) and 1 (exclusive), used by the random generators
+ *     and scattering functions in place of `Math.random`. Ignored if the
+ *     `seed` option is set. Defaults to `Math.random`.
+ *   - `seed`: A number or string used to seed a deterministic random number
+ *     generator (see {@link THREE.Terrain.SeededRandom}). The same options
+ *     with the same seed always produce the same terrain. Defaults to `null`,
+ *     meaning terrain generation is not repeatable.
  *   - `steps`: If this is a number above 1, the terrain will be paritioned
  *     into that many flat "steps," resulting in a blocky appearance. Defaults
  *     to 1.
@@ -81,6 +128,8 @@ THREE.Terrain = function(options) {
         minHeight: -100,
         optimization: THREE.Terrain.NONE,
         frequency: 2.5,
+        random: null,
+        seed: null,
         steps: 1,
         stretch: true,
         turbulent: false,
@@ -95,7 +144,15 @@ THREE.Terrain = function(options) {
             options[opt] = typeof options[opt] === 'undefined' ? defaultOptions[opt] : options[opt];
         }
     }
+    if (typeof options.heightmap === 'undefined') {
+        throw new Error('`options.heightmap` is required when the generators are not loaded');
+    }
     options.material = options.material || new THREE.MeshBasicMaterial({ color: 0xee6633 });
+    // Restart the random sequence so that a seed always builds the same terrain.
+    if (options.seed !== null) {
+        options.random = THREE.Terrain.SeededRandom(options.seed);
+    }
+    THREE.Terrain.getRandom(options);
 
     // Encapsulating the terrain in a parent object allows us the flexibility
     // to more easily have multiple meshes for optimization purposes.
@@ -111,21 +168,44 @@ THREE.Terrain = function(options) {
 
     // Assign elevation data to the terrain plane from a heightmap or function.
     var zs = THREE.Terrain.toArray1D(mesh.geometry.attributes.position.array);
-    if (options.heightmap instanceof HTMLCanvasElement || options.heightmap instanceof Image) {
-        THREE.Terrain.fromHeightmap(zs, options);
-    }
-    else if (typeof options.heightmap === 'function') {
+    if (typeof options.heightmap === 'function') {
         options.heightmap(zs, options);
     }
+    else if (options.heightmap && typeof options.heightmap === 'object') {
+        THREE.Terrain.fromHeightmap(zs, options);
+    }
     else {
         console.warn('An invalid value was passed for `options.heightmap`: ' + options.heightmap);
     }
     THREE.Terrain.fromArray1D(mesh.geometry.attributes.position.array, zs);
     THREE.Terrain.Normalize(mesh, options);
 
-    // lod.addLevel(mesh, options.unit * 10 * Math.pow(2, lodLevel));
-
     scene.add(mesh);
+
+    var lod = null;
+    if (options.optimization === THREE.Terrain.GEOMIPMAP) {
+        lod = THREE.Terrain.Geomipmap(mesh, options);
+    }
+    else if (options.optimization === THREE.Terrain.GEOCLIPMAP) {
+        lod = THREE.Terrain.Geoclipmap(mesh, options);
+    }
+    else if (options.optimization === THREE.Terrain.POLYGONREDUCTION) {
+        lod = new THREE.Mesh(
+            THREE.Terrain.PolygonReduction(
+                mesh.geometry,
+                typeof options.reductionTolerance === 'number' ?
+                    options.reductionTolerance :
+                    (options.maxHeight - options.minHeight) * 0.005
+            ),
+            options.material
+        );
+    }
+    if (lod) {
+        mesh.visible = false;
+        scene.add(lod);
+        if (lod.update) scene.update = lod.update;
+    }
+
     return scene;
 };
 
@@ -162,34 +242,35 @@ THREE.Terrain.Normalize = function(mesh, options) {
     THREE.Terrain.fromArray1D(mesh.geometry.attributes.position.array, zs);
 
     // Mark the geometry as having changed and needing updates.
+    mesh.geometry.attributes.position.needsUpdate = true;
     mesh.geometry.computeBoundingSphere();
-    mesh.geometry.computeFaceNormals();
     mesh.geometry.computeVertexNormals();
 };
 
 /**
  * Optimization types.
  *
- * Note that none of these are implemented right now. They should be done as
- * shaders so that they execute on the GPU, and the resulting scene would need
- * to be updated every frame to adjust to the camera's position.
+ * These are implemented in geomipmap.js, geoclipmap.js, and
+ * polygonReduction.js. GEOMIPMAP and GEOCLIPMAP run on the CPU, and the
+ * resulting scene is updated every frame to adjust to the camera's position.
+ * Doing this work in shaders instead could be faster.
  *
  * Further reading:
  * - http://vterrain.org/LOD/Papers/
  * - http://vterrain.org/LOD/Implementations/
  *
- * GEOMIPMAP: The terrain plane should be split into sections, each with their
- * own LODs, for screen-space occlusion and detail reduction. Intermediate
- * vertices on higher-detail neighboring sections should be interpolated
- * between neighbor edge vertices in order to match with the edge of the
- * lower-detail section. The number of sections should be around sqrt(segments)
- * along each axis. It's unclear how to make materials stretch across segments.
- * Possible example (I haven't looked too much into it) at
- * https://github.com/felixpalmer/lod-terrain/tree/master/js/shaders
+ * GEOMIPMAP: The terrain plane is split into sections, each with their own
+ * LODs, for screen-space occlusion and detail reduction. Edge vertices on
+ * higher-detail sections that their lower-detail neighbors don't have are
+ * snapped to the neighbor's edge vertices so that there are no cracks. The
+ * number of sections is around sqrt(segments) along each axis. The sections
+ * share the vertex attributes of the full-detail mesh, so materials stretch
+ * across them seamlessly.
  *
- * GEOCLIPMAP: The terrain should be composed of multiple donut-shaped sections
- * at decreasing resolution as the radius gets bigger. When the player moves,
- * the sections should morph so that the detail "follows" the player around.
+ * GEOCLIPMAP: The terrain is composed of multiple donut-shaped sections at
+ * decreasing resolution as the radius gets bigger. When the player moves, the
+ * sections are recentered and resampled so that the detail "follows" the
+ * player around. They could also morph between levels to avoid popping.
  * There is an implementation of geoclipmapping at
  * https://github.com/CodeArtemis/TriggerRally/blob/unified/server/public/scripts/client/terrain.coffee
  * and a tutorial on morph targets at
@@ -197,28 +278,10 @@ THREE.Terrain.Normalize = function(mesh, options) {
  *
  * POLYGONREDUCTION: Combine areas that are relatively coplanar into larger
  * polygons as described at http://www.shamusyoung.com/twentysidedtale/?p=142.
- * This method can be combined with the others if done very carefully, or it
- * can be adjusted to be more aggressive at greater distance from the camera
- * (similar to combining with geomipmapping).
- *
- * If these do get implemented, here is the option description to add to the
- * `THREE.Terrain` docblock:
- *
- *    - `optimization`: the type of optimization to apply to the terrain. If
- *      an optimization is applied, the number of segments along each axis that
- *      the terrain should be divided into at the most detailed level should
- *      equal (n * 2^(LODs-1))^2 - 1, for arbitrary n, where LODs is the number
- *      of levels of detail desired. Valid values include:
- *
- *          - `THREE.Terrain.NONE`: Don't apply any optimizations. This is the
- *            default.
- *          - `THREE.Terrain.GEOMIPMAP`: Divide the terrain into evenly-sized
- *            sections with multiple levels of detail. For each section,
- *            display a level of detail dependent on how close the camera is.
- *          - `THREE.Terrain.GEOCLIPMAP`: Divide the terrain into donut-shaped
- *            sections, where detail decreases as the radius increases. The
- *            rings then morph to "follow" the camera around so that the camera
- *            is always at the center, surrounded by the most detail.
+ * This is done once, when the terrain is built. It could be combined with the
+ * others if done very carefully, or it could be adjusted to be more
+ * aggressive at greater distance from the camera (similar to combining with
+ * geomipmapping).
  */
 THREE.Terrain.NONE = 0;
 THREE.Terrain.GEOMIPMAP = 1;
@@ -331,11 +394,136 @@ THREE.Terrain.heightmapArray = function(method, options) {
     options.minHeight = options.minHeight || 0;
     options.maxHeight = typeof options.maxHeight === 'undefined' ? 1 : options.maxHeight;
     options.stretch = options.stretch || false;
+    if (typeof options.seed !== 'undefined' && options.seed !== null) {
+        options.random = THREE.Terrain.SeededRandom(options.seed);
+    }
     method(arr, options);
     THREE.Terrain.Clamp(arr, options);
     return arr;
 };
 
+/**
+ * Create a seeded pseudo-random number generator.
+ *
+ * The generator is a Mulberry32 PRNG, which is fast and has a period of 2^32,
+ * which is plenty for terrain generation. It is not suitable for
+ * cryptographic purposes.
+ *
+ * @param {Number/String} seed
+ *   The seed. Any number or string can be used; it is hashed to a 32-bit
+ *   integer, so for example `1` and `'1'` produce the same sequence.
+ *
+ * @return {Function}
+ *   A function that behaves like `Math.random`, returning a number between 0
+ *   (inclusive) and 1 (exclusive), but always returns the same sequence of
+ *   numbers for the same seed.
+ */
+THREE.Terrain.SeededRandom = function(seed) {
+    // Hash the seed using 32-bit FNV-1a.
+    var str = String(seed),
+        state = 2166136261;
+    for (var i = 0, l = str.length; i < l; i++) {
+        state = Math.imul(state ^ str.charCodeAt(i), 16777619);
+    }
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        var t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Get the random number generator that a set of options specifies.
+ *
+ * If `options.random` is not already a function, this sets it to a generator
+ * seeded with `options.seed` if there is one, or to `Math.random` otherwise.
+ * Storing the generator on the options lets generators that share an options
+ * map (for example the passes of {@link THREE.Terrain.MultiPass}) draw from
+ * the same sequence.
+ *
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed. The only
+ *   properties that matter here are `random` and `seed`.
+ *
+ * @return {Function}
+ *   A function that behaves like `Math.random`.
+ */
+THREE.Terrain.getRandom = function(options) {
+    if (typeof options.random !== 'function') {
+        options.random = typeof options.seed === 'undefined' || options.seed === null ?
+            Math.random :
+            THREE.Terrain.SeededRandom(options.seed);
+    }
+    return options.random;
+};
+
+/**
+ * A binary min-heap of vertex indices with priorities.
+ *
+ * The same vertex can be added more than once with different priorities.
+ * Used for searches over the terrain grid, like filling depressions and
+ * finding paths.
+ */
+THREE.Terrain.PriorityQueue = function() {
+    this.items = [];
+    this.priorities = [];
+};
+
+/**
+ * Add a vertex to the queue.
+ *
+ * @param {Number} k
+ *   The index of the vertex.
+ * @param {Number} priority
+ *   The priority of the vertex. Lower priorities are popped first.
+ */
+THREE.Terrain.PriorityQueue.prototype.push = function(k, priority) {
+    var items = this.items,
+        priorities = this.priorities,
+        i = items.length;
+    items.push(k);
+    priorities.push(priority);
+    while (i > 0) {
+        var parent = (i - 1) >> 1;
+        if (priorities[parent] <= priority) break;
+        items[i] = items[parent];
+        priorities[i] = priorities[parent];
+        i = parent;
+    }
+    items[i] = k;
+    priorities[i] = priority;
+};
+
+/**
+ * Remove and return the vertex with the lowest priority.
+ *
+ * @return {Number}
+ *   The index of the vertex.
+ */
+THREE.Terrain.PriorityQueue.prototype.pop = function() {
+    var items = this.items,
+        priorities = this.priorities,
+        top = items[0],
+        last = items.pop(),
+        lastPriority = priorities.pop(),
+        l = items.length,
+        i = 0;
+    if (!l) return top;
+    while (true) {
+        var child = i * 2 + 1;
+        if (child >= l) break;
+        if (child + 1 < l && priorities[child + 1] < priorities[child]) child++;
+        if (priorities[child] >= lastPriority) break;
+        items[i] = items[child];
+        priorities[i] = priorities[child];
+        i = child;
+    }
+    items[i] = last;
+    priorities[i] = lastPriority;
+    return top;
+};
+
 /**
  * Randomness interpolation functions.
  */
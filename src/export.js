@@ -0,0 +1,472 @@
+(function() {
+
+var vertex = new THREE.Vector3(),
+    vA = new THREE.Vector3(),
+    vB = new THREE.Vector3(),
+    vC = new THREE.Vector3(),
+    ab = new THREE.Vector3(),
+    normalMatrix = new THREE.Matrix3(),
+    // Rotate y-up coordinates to z-up, the convention for 3D printing.
+    Z_UP = new THREE.Matrix4().makeRotationX(Math.PI / 2);
+
+/**
+ * Build the walls and floor that close the underside of a terrain.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ *   The terrain mesh's geometry (a `THREE.PlaneGeometry`).
+ * @param {Number} depth
+ *   How far below the lowest point of the terrain to put the floor.
+ *
+ * @return {THREE.BufferGeometry}
+ *   A non-indexed geometry in the terrain mesh's local space whose top edges
+ *   match the edges of the terrain exactly.
+ */
+function getBase(geometry, depth) {
+    var position = geometry.attributes.position,
+        uv = geometry.attributes.uv,
+        xl = geometry.parameters.widthSegments + 1,
+        yl = geometry.parameters.heightSegments + 1,
+        floor = Infinity,
+        edge = [],
+        positions = [],
+        uvs = [],
+        i,
+        j;
+    for (i = 0; i < position.count; i++) {
+        floor = Math.min(floor, position.getZ(i));
+    }
+    floor -= depth;
+
+    // Vertices around the edge, counterclockwise as seen from above
+    for (i = 0; i < xl; i++) {
+        edge.push((yl - 1) * xl + i);
+    }
+    for (j = yl - 2; j >= 0; j--) {
+        edge.push(j * xl + xl - 1);
+    }
+    for (i = xl - 2; i >= 0; i--) {
+        edge.push(i);
+    }
+    for (j = 1; j < yl - 1; j++) {
+        edge.push(j * xl);
+    }
+
+    function add(k, bottom) {
+        if (k === -1) {
+            positions.push(0, 0, floor);
+            uvs.push(0.5, 0.5);
+            return;
+        }
+        positions.push(position.getX(k), position.getY(k), bottom ? floor : position.getZ(k));
+        uvs.push(uv ? uv.getX(k) : 0, uv ? uv.getY(k) : 0);
+    }
+    for (i = 0; i < edge.length; i++) {
+        var a = edge[i],
+            b = edge[(i + 1) % edge.length];
+        // Wall, facing out
+        add(a, true);
+        add(b, true);
+        add(b, false);
+        add(a, true);
+        add(b, false);
+        add(a, false);
+        // Floor, facing down
+        add(-1, true);
+        add(b, true);
+        add(a, true);
+    }
+    var base = new THREE.BufferGeometry();
+    base.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    base.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    base.computeVertexNormals();
+    return base;
+}
+
+/**
+ * Get the vertices and triangles of a geometry, transformed.
+ *
+ * @param {String} name
+ *   The name of the part.
+ * @param {THREE.BufferGeometry} geometry
+ *   The geometry.
+ * @param {THREE.Matrix4} transform
+ *   The transformation to apply to the geometry.
+ * @param {THREE.Material/THREE.Material[]} [material]
+ *   The material of the mesh, used for its color.
+ *
+ * @return {Object}
+ *   An object with the `name`, `positions`, `normals`, `uvs` (or null), and
+ *   `indices` of the part, and its `color` as an array of RGB values.
+ */
+function getPart(name, geometry, transform, material) {
+    var position = geometry.attributes.position,
+        uv = geometry.attributes.uv,
+        count = position.count,
+        positions = new Float32Array(count * 3),
+        normals = new Float32Array(count * 3),
+        uvs = uv ? new Float32Array(count * 2) : null,
+        indices,
+        i;
+    if (!geometry.attributes.normal) {
+        geometry = geometry.clone();
+        geometry.computeVertexNormals();
+    }
+    var normal = geometry.attributes.normal;
+    normalMatrix.getNormalMatrix(transform);
+    for (i = 0; i < count; i++) {
+        vertex.fromBufferAttribute(position, i).applyMatrix4(transform).toArray(positions, i * 3);
+        vertex.fromBufferAttribute(normal, i).applyMatrix3(normalMatrix).normalize().toArray(normals, i * 3);
+        if (uv) {
+            uvs[i * 2] = uv.getX(i);
+            uvs[i * 2 + 1] = uv.getY(i);
+        }
+    }
+    if (geometry.index) {
+        indices = Uint32Array.from(geometry.index.array);
+    }
+    else {
+        indices = new Uint32Array(count);
+        for (i = 0; i < count; i++) {
+            indices[i] = i;
+        }
+    }
+    if (Array.isArray(material)) material = material[0];
+    return {
+        name: name,
+        positions: positions,
+        normals: normals,
+        uvs: uvs,
+        indices: indices,
+        color: material && material.color ? material.color.toArray() : [1, 1, 1],
+    };
+}
+
+/**
+ * Get the parts of a terrain scene to export.
+ *
+ * Coordinates are in the space of the terrain scene's parent, so they include
+ * the rotation {@link THREE.Terrain}() applies to the terrain scene.
+ *
+ * @param {THREE.Object3D} terrainScene
+ *   The return value of a call to {@link THREE.Terrain}().
+ * @param {Object} [params]
+ *   The parameters passed to the exporter.
+ * @param {THREE.Matrix4} [transform]
+ *   An extra transformation to apply to everything.
+ *
+ * @return {Object[]}
+ *   The parts. See `getPart()`.
+ */
+function getParts(terrainScene, params, transform) {
+    var mesh = terrainScene.isMesh ? terrainScene : terrainScene.children[0],
+        parent = new THREE.Matrix4(),
+        parts = [];
+    params = params || {};
+    terrainScene.updateWorldMatrix(true, true);
+    if (terrainScene.parent) parent.copy(terrainScene.parent.matrixWorld).invert();
+    if (transform) parent.premultiply(transform);
+
+    function getTransform(object) {
+        var attached = false;
+        for (var o = object; o; o = o.parent) {
+            if (o === terrainScene) attached = true;
+        }
+        object.updateWorldMatrix(true, false);
+        var m = new THREE.Matrix4().multiplyMatrices(parent, object.matrixWorld);
+        // Scattered meshes that haven't been added to the terrain scene are
+        // placed as if they had been.
+        if (!attached) m.multiplyMatrices(parent, terrainScene.matrixWorld).multiply(object.matrixWorld);
+        return m;
+    }
+
+    var terrainTransform = getTransform(mesh);
+    parts.push(getPart('terrain', mesh.geometry, terrainTransform, mesh.material));
+    if (params.base > 0) {
+        parts.push(getPart('base', getBase(mesh.geometry, params.base), terrainTransform, mesh.material));
+    }
+    function addMesh(object) {
+        if (object.isMesh && object !== mesh) {
+            parts.push(getPart(object.name || 'mesh' + parts.length, object.geometry, getTransform(object), object.material));
+        }
+    }
+    var scattered = [].concat(params.scatter || []);
+    for (var i = 0; i < scattered.length; i++) {
+        scattered[i].traverse(addMesh);
+    }
+    return parts;
+}
+
+/**
+ * Round a number for text output.
+ */
+function round(n) {
+    return Math.round(n * 1e6) / 1e6;
+}
+
+/**
+ * Build a glTF asset from the parts of a terrain scene.
+ *
+ * @param {Object[]} parts
+ *   The parts to export. See `getPart()`.
+ *
+ * @return {Object}
+ *   An object with the glTF `json` and the `binary` buffer it refers to.
+ */
+function buildGLTF(parts) {
+    var json = {
+            asset: {version: '2.0', generator: 'THREE.Terrain'},
+            scene: 0,
+            scenes: [{nodes: []}],
+            nodes: [],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: [],
+        },
+        arrays = [],
+        byteLength = 0;
+    function addAccessor(array, type, target, bounds) {
+        var accessor = {
+            bufferView: json.bufferViews.length,
+            componentType: array instanceof Uint32Array ? 5125 : 5126,
+            count: array.length / {SCALAR: 1, VEC2: 2, VEC3: 3}[type],
+            type: type,
+        };
+        if (bounds) {
+            accessor.min = [Infinity, Infinity, Infinity];
+            accessor.max = [-Infinity, -Infinity, -Infinity];
+            for (var i = 0; i < array.length; i++) {
+                accessor.min[i % 3] = Math.min(accessor.min[i % 3], array[i]);
+                accessor.max[i % 3] = Math.max(accessor.max[i % 3], array[i]);
+            }
+        }
+        json.bufferViews.push({buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target: target});
+        json.accessors.push(accessor);
+        arrays.push(array);
+        byteLength += array.byteLength;
+        return json.accessors.length - 1;
+    }
+    for (var i = 0; i < parts.length; i++) {
+        var part = parts[i],
+            attributes = {
+                POSITION: addAccessor(part.positions, 'VEC3', 34962, true),
+                NORMAL: addAccessor(part.normals, 'VEC3', 34962),
+            };
+        if (part.uvs) attributes.TEXCOORD_0 = addAccessor(part.uvs, 'VEC2', 34962);
+        json.materials.push({
+            name: part.name,
+            pbrMetallicRoughness: {
+                baseColorFactor: part.color.concat(1),
+                metallicFactor: 0,
+                roughnessFactor: 1,
+            },
+        });
+        json.meshes.push({
+            name: part.name,
+            primitives: [{attributes: attributes, indices: addAccessor(part.indices, 'SCALAR', 34963), material: i}],
+        });
+        json.nodes.push({name: part.name, mesh: i});
+        json.scenes[0].nodes.push(i);
+    }
+    var binary = new Uint8Array(byteLength);
+    for (i = 0, byteLength = 0; i < arrays.length; i++) {
+        binary.set(new Uint8Array(arrays[i].buffer, arrays[i].byteOffset, arrays[i].byteLength), byteLength);
+        byteLength += arrays[i].byteLength;
+    }
+    json.buffers.push({byteLength: binary.length});
+    return {json: json, binary: binary};
+}
+
+/**
+ * Export a terrain to the Wavefront OBJ format.
+ *
+ * The terrain's vertices, UVs, and normals are written in the coordinates of
+ * the terrain scene's parent, so the rotation that {@link THREE.Terrain}()
+ * applies to the terrain scene is included and the terrain is y-up. The
+ * terrain and each scattered mesh are written as separate objects.
+ *
+ * Usage:
+ *
+ *     var obj = THREE.Terrain.toOBJ(terrainScene, {scatter: decoScene});
+ *     // In a browser:
+ *     var url = URL.createObjectURL(new Blob([obj], {type: 'text/plain'}));
+ *     // In Node.js:
+ *     require('fs').writeFileSync('terrain.obj', obj);
+ *
+ * @param {THREE.Object3D} terrainScene
+ *   The return value of a call to {@link THREE.Terrain}(). The most detailed
+ *   version of the terrain is exported, even if an optimization is used.
+ * @param {Object} [params]
+ *   Parameters for the export:
+ *   - `scatter`: A `THREE.Object3D` (or an array of them) containing meshes
+ *     to export with the terrain, like the return value of
+ *     {@link THREE.Terrain.ScatterMeshes}. Meshes that aren't in the terrain
+ *     scene are placed as if they were.
+ *   - `base`: If this is a number above 0, the sides and bottom of the
+ *     terrain are closed with walls and a flat floor this far below the
+ *     lowest point of the terrain.
+ *
+ * @return {String}
+ *   The contents of the OBJ file.
+ */
+THREE.Terrain.toOBJ = function(terrainScene, params) {
+    var parts = getParts(terrainScene, params),
+        lines = ['# THREE.Terrain'],
+        vertexOffset = 1,
+        uvOffset = 1;
+    for (var p = 0; p < parts.length; p++) {
+        var part = parts[p],
+            count = part.positions.length / 3,
+            i;
+        lines.push('o ' + part.name);
+        for (i = 0; i < count; i++) {
+            lines.push(
+                'v ' + round(part.positions[i * 3]) +
+                ' ' + round(part.positions[i * 3 + 1]) +
+                ' ' + round(part.positions[i * 3 + 2])
+            );
+        }
+        for (i = 0; part.uvs && i < count; i++) {
+            lines.push('vt ' + round(part.uvs[i * 2]) + ' ' + round(part.uvs[i * 2 + 1]));
+        }
+        for (i = 0; i < count; i++) {
+            lines.push(
+                'vn ' + round(part.normals[i * 3]) +
+                ' ' + round(part.normals[i * 3 + 1]) +
+                ' ' + round(part.normals[i * 3 + 2])
+            );
+        }
+        for (i = 0; i < part.indices.length; i += 3) {
+            var face = 'f';
+            for (var c = 0; c < 3; c++) {
+                var v = part.indices[i + c];
+                face += ' ' + (v + vertexOffset) + '/' + (part.uvs ? v + uvOffset : '') + '/' + (v + vertexOffset);
+            }
+            lines.push(face);
+        }
+        vertexOffset += count;
+        if (part.uvs) uvOffset += count;
+    }
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Export a terrain to the binary STL format, e.g. for 3D printing.
+ *
+ * Unlike the other exporters, this writes z-up coordinates, which is the
+ * convention for 3D printing: the terrain lies flat, as it would if its scene
+ * weren't rotated. Set `params.base` to close the underside of the terrain so
+ * that the model is watertight and can be printed. STL files don't have units;
+ * most slicers assume the units are millimeters, so scale the model to the
+ * size you want to print.
+ *
+ * @param {THREE.Object3D} terrainScene
+ *   The return value of a call to {@link THREE.Terrain}().
+ * @param {Object} [params]
+ *   Parameters for the export. Valid values are the same as those for the
+ *   `params` parameter of {@link THREE.Terrain.toOBJ}().
+ *
+ * @return {Uint8Array}
+ *   The contents of the STL file.
+ */
+THREE.Terrain.toSTL = function(terrainScene, params) {
+    var parts = getParts(terrainScene, params, Z_UP),
+        triangles = 0,
+        p;
+    for (p = 0; p < parts.length; p++) {
+        triangles += parts[p].indices.length / 3;
+    }
+    var bytes = new Uint8Array(84 + triangles * 50),
+        view = new DataView(bytes.buffer),
+        header = 'Exported by THREE.Terrain',
+        offset = 84;
+    for (var h = 0; h < header.length; h++) {
+        bytes[h] = header.charCodeAt(h);
+    }
+    view.setUint32(80, triangles, true);
+    for (p = 0; p < parts.length; p++) {
+        var positions = parts[p].positions,
+            indices = parts[p].indices;
+        for (var i = 0; i < indices.length; i += 3) {
+            vA.fromArray(positions, indices[i] * 3);
+            vB.fromArray(positions, indices[i + 1] * 3);
+            vC.fromArray(positions, indices[i + 2] * 3);
+            ab.subVectors(vA, vB);
+            vertex.subVectors(vC, vB).cross(ab).normalize();
+            var values = [vertex, vA, vB, vC];
+            for (var n = 0; n < 4; n++) {
+                view.setFloat32(offset, values[n].x, true);
+                view.setFloat32(offset + 4, values[n].y, true);
+                view.setFloat32(offset + 8, values[n].z, true);
+                offset += 12;
+            }
+            offset += 2;
+        }
+    }
+    return bytes;
+};
+
+/**
+ * Export a terrain to the glTF 2.0 format.
+ *
+ * Coordinates are written as for {@link THREE.Terrain.toOBJ}; glTF is y-up,
+ * like three.js. The terrain and each scattered mesh become separate nodes,
+ * with materials that use the color of their three.js materials, if any. The
+ * binary data is embedded in the JSON as a data URI; use
+ * {@link THREE.Terrain.toGLB} for a more compact binary file.
+ *
+ * @param {THREE.Object3D} terrainScene
+ *   The return value of a call to {@link THREE.Terrain}().
+ * @param {Object} [params]
+ *   Parameters for the export. Valid values are the same as those for the
+ *   `params` parameter of {@link THREE.Terrain.toOBJ}().
+ *
+ * @return {Object}
+ *   The glTF JSON. Use `JSON.stringify()` to get the contents of the file.
+ */
+THREE.Terrain.toGLTF = function(terrainScene, params) {
+    var gltf = buildGLTF(getParts(terrainScene, params)),
+        binary = '';
+    for (var i = 0; i < gltf.binary.length; i += 32768) {
+        binary += String.fromCharCode.apply(null, gltf.binary.subarray(i, i + 32768));
+    }
+    gltf.json.buffers[0].uri = 'data:application/octet-stream;base64,' + btoa(binary);
+    return gltf.json;
+};
+
+/**
+ * Export a terrain to the binary glTF 2.0 (GLB) format.
+ *
+ * See {@link THREE.Terrain.toGLTF}.
+ *
+ * @param {THREE.Object3D} terrainScene
+ *   The return value of a call to {@link THREE.Terrain}().
+ * @param {Object} [params]
+ *   Parameters for the export. Valid values are the same as those for the
+ *   `params` parameter of {@link THREE.Terrain.toOBJ}().
+ *
+ * @return {Uint8Array}
+ *   The contents of the GLB file.
+ */
+THREE.Terrain.toGLB = function(terrainScene, params) {
+    var gltf = buildGLTF(getParts(terrainScene, params)),
+        text = new TextEncoder().encode(JSON.stringify(gltf.json)),
+        jsonLength = Math.ceil(text.length / 4) * 4,
+        binLength = Math.ceil(gltf.binary.length / 4) * 4,
+        bytes = new Uint8Array(12 + 8 + jsonLength + 8 + binLength),
+        view = new DataView(bytes.buffer);
+    view.setUint32(0, 0x46546C67, true); // "glTF"
+    view.setUint32(4, 2, true);
+    view.setUint32(8, bytes.length, true);
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4E4F534A, true); // "JSON"
+    bytes.fill(0x20, 20, 20 + jsonLength); // The JSON is padded with spaces.
+    bytes.set(text, 20);
+    view.setUint32(20 + jsonLength, binLength, true);
+    view.setUint32(24 + jsonLength, 0x004E4942, true); // "BIN"
+    bytes.set(gltf.binary, 28 + jsonLength);
+    return bytes;
+};
+
+})();
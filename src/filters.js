@@ -290,6 +290,478 @@ THREE.Terrain.SmoothConservative = function(g, options, multiplier) {
     }
 };
 
+/**
+ * Erode the terrain by simulating water droplets flowing downhill.
+ *
+ * Each droplet starts at a random location and rolls down the slope, keeping
+ * some of its previous direction (inertia). While it can carry more sediment
+ * it erodes the terrain around it; when it carries too much, usually because
+ * it slowed down or went uphill, it deposits sediment instead. Its water
+ * evaporates as it goes, which reduces how much it can carry. Over many
+ * droplets this carves drainage channels and gullies into slopes and fills
+ * valleys with sediment. Best used as (or in) the `after` option of
+ * {@link THREE.Terrain}().
+ *
+ * Based on the droplet model described in "Implementation of a method for
+ * hydraulic erosion" by Hans Theobald Beyer. Heights are scaled to the range
+ * of the terrain while simulating, so the results don't depend on
+ * `maxHeight` and `minHeight`.
+ *
+ * @param {Float32Array} g
+ *   The geometry's z-positions to modify with heightmap data.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}(). Only `xSegments`, `ySegments`, and `random` are
+ *   used.
+ * @param {Object} [params]
+ *   A map of settings for the simulation:
+ *   - `iterations`: The number of droplets to simulate. Defaults to a
+ *     quarter of the number of vertices in the terrain. More droplets carve
+ *     deeper channels.
+ *   - `maxLifetime`: The maximum number of steps each droplet takes. Defaults
+ *     to 30.
+ *   - `inertia`: How much of its previous direction a droplet keeps at each
+ *     step, between 0 (always flow straight downhill) and 1 (never turn).
+ *     Defaults to 0.05.
+ *   - `capacity`: How much sediment a droplet can carry relative to its
+ *     speed, amount of water, and the steepness of the slope. Defaults to 4.
+ *   - `minCapacity`: The least sediment a droplet can carry, so that it keeps
+ *     eroding on flat ground. Defaults to 0.01.
+ *   - `erosionRate`: The fraction of its remaining capacity that a droplet
+ *     erodes at each step. Defaults to 0.3.
+ *   - `depositionRate`: The fraction of its excess sediment that a droplet
+ *     deposits at each step. Defaults to 0.3.
+ *   - `evaporation`: The fraction of its water that a droplet loses at each
+ *     step. Defaults to 0.01.
+ *   - `gravity`: How quickly droplets accelerate downhill. Defaults to 4.
+ *   - `radius`: The radius, in segments, of the area that a droplet erodes
+ *     at each step. Larger values produce wider, smoother channels. Defaults
+ *     to 3.
+ *   - `initialSpeed`: The starting speed of each droplet. Defaults to 1.
+ *   - `initialWater`: The starting amount of water in each droplet. Defaults
+ *     to 1.
+ */
+THREE.Terrain.HydraulicErosion = function(g, options, params) {
+    var defaultParams = {
+        iterations: Math.round((options.xSegments + 1) * (options.ySegments + 1) * 0.25),
+        maxLifetime: 30,
+        inertia: 0.05,
+        capacity: 4,
+        minCapacity: 0.01,
+        erosionRate: 0.3,
+        depositionRate: 0.3,
+        evaporation: 0.01,
+        gravity: 4,
+        radius: 3,
+        initialSpeed: 1,
+        initialWater: 1,
+    };
+    params = params || {};
+    for (var opt in defaultParams) {
+        if (defaultParams.hasOwnProperty(opt)) {
+            params[opt] = typeof params[opt] === 'undefined' ? defaultParams[opt] : params[opt];
+        }
+    }
+    var random = THREE.Terrain.getRandom(options),
+        xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        heightmap = new Float32Array(g.length),
+        min = Infinity,
+        max = -Infinity,
+        sample = {height: 0, gradientX: 0, gradientY: 0},
+        brushX = [],
+        brushY = [],
+        brushWeights = [],
+        totalWeight = 0,
+        radius = Math.max(params.radius, 1),
+        r = Math.ceil(radius),
+        i, j, k;
+
+    // Work with heights between 0 and 1.
+    for (k = 0; k < g.length; k++) {
+        if (g[k] < min) min = g[k];
+        if (g[k] > max) max = g[k];
+    }
+    var range = max - min || 1;
+    for (k = 0; k < g.length; k++) {
+        heightmap[k] = (g[k] - min) / range;
+    }
+
+    // Erosion is spread over the vertices around a droplet, weighted by how
+    // close they are to it.
+    for (j = -r; j <= r; j++) {
+        for (i = -r; i <= r; i++) {
+            var distance = Math.sqrt(i * i + j * j);
+            if (distance < radius) {
+                brushX.push(i);
+                brushY.push(j);
+                brushWeights.push(radius - distance);
+                totalWeight += radius - distance;
+            }
+        }
+    }
+    for (k = 0; k < brushWeights.length; k++) {
+        brushWeights[k] /= totalWeight;
+    }
+
+    // Bilinearly interpolate the height and gradient at a location.
+    function interpolate(x, y) {
+        var ci = Math.floor(x),
+            cj = Math.floor(y),
+            u = x - ci,
+            v = y - cj,
+            k = cj * xl + ci,
+            nw = heightmap[k],
+            ne = heightmap[k + 1],
+            sw = heightmap[k + xl],
+            se = heightmap[k + xl + 1];
+        sample.height = nw * (1 - u) * (1 - v) + ne * u * (1 - v) + sw * (1 - u) * v + se * u * v;
+        sample.gradientX = (ne - nw) * (1 - v) + (se - sw) * v;
+        sample.gradientY = (sw - nw) * (1 - u) + (se - ne) * u;
+        return sample;
+    }
+
+    for (var n = 0; n < params.iterations; n++) {
+        var x = random() * (xl - 1),
+            y = random() * (yl - 1),
+            directionX = 0,
+            directionY = 0,
+            speed = params.initialSpeed,
+            water = params.initialWater,
+            sediment = 0;
+        for (var life = 0; life < params.maxLifetime; life++) {
+            var ci = Math.floor(x),
+                cj = Math.floor(y),
+                u = x - ci,
+                v = y - cj,
+                height = interpolate(x, y).height;
+
+            // Turn downhill, keeping some of the previous direction.
+            directionX = directionX * params.inertia - sample.gradientX * (1 - params.inertia);
+            directionY = directionY * params.inertia - sample.gradientY * (1 - params.inertia);
+            var length = Math.sqrt(directionX * directionX + directionY * directionY);
+            if (!length) break;
+            directionX /= length;
+            directionY /= length;
+            x += directionX;
+            y += directionY;
+            if (x < 0 || y < 0 || x >= xl - 1 || y >= yl - 1) break;
+
+            var deltaHeight = interpolate(x, y).height - height,
+                capacity = Math.max(-deltaHeight * speed * water * params.capacity, params.minCapacity);
+            if (sediment > capacity || deltaHeight > 0) {
+                // Going uphill, fill in the pit behind the droplet; otherwise
+                // drop some of the excess sediment. Either way, spread it
+                // between the corners of the cell the droplet left.
+                var deposit = deltaHeight > 0 ?
+                    Math.min(deltaHeight, sediment) :
+                    (sediment - capacity) * params.depositionRate;
+                sediment -= deposit;
+                k = cj * xl + ci;
+                heightmap[k] += deposit * (1 - u) * (1 - v);
+                heightmap[k + 1] += deposit * u * (1 - v);
+                heightmap[k + xl] += deposit * (1 - u) * v;
+                heightmap[k + xl + 1] += deposit * u * v;
+            }
+            else {
+                // Never erode more than the height difference so that the
+                // droplet doesn't dig a pit behind itself.
+                var erosion = Math.min((capacity - sediment) * params.erosionRate, -deltaHeight);
+                for (var b = 0; b < brushWeights.length; b++) {
+                    i = ci + brushX[b];
+                    j = cj + brushY[b];
+                    if (i >= 0 && j >= 0 && i < xl && j < yl) {
+                        var amount = erosion * brushWeights[b];
+                        heightmap[j * xl + i] -= amount;
+                        sediment += amount;
+                    }
+                }
+            }
+
+            speed = Math.sqrt(Math.max(speed * speed - deltaHeight * params.gravity, 0));
+            water *= 1 - params.evaporation;
+        }
+    }
+
+    for (k = 0; k < g.length; k++) {
+        g[k] = heightmap[k] * range + min;
+    }
+};
+
+/**
+ * Erode the terrain by letting material slide down slopes that are too steep.
+ *
+ * Loose material can only pile up to a certain steepness (the "angle of
+ * repose"). This repeatedly moves material from each vertex to its lower
+ * neighbors wherever the slope between them is steeper than `maxSlope` until
+ * no slopes are too steep or `iterations` is reached. Sharp peaks and ridges
+ * crumble into scree slopes and material piles up at the base of cliffs.
+ *
+ * @param {Float32Array} g
+ *   The geometry's z-positions to modify with heightmap data.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}(). Only `xSize`, `ySize`, `xSegments`, and
+ *   `ySegments` are used.
+ * @param {Number} [maxSlope=0.63]
+ *   The steepest angle in radians between the ground and the horizontal that
+ *   can remain after erosion. This is the same as the `maxSlope` option of
+ *   {@link THREE.Terrain.ScatterMeshes}, so for example `30 / 180 * Math.PI`
+ *   is 30 degrees. Defaults to ~0.63, which is 36 degrees, about the angle of
+ *   repose of earth.
+ * @param {Number} [iterations=100]
+ *   The maximum number of times to move material. Fewer iterations leave
+ *   steep areas partially eroded.
+ */
+THREE.Terrain.ThermalErosion = function(g, options, maxSlope, iterations) {
+    if (typeof maxSlope !== 'number') maxSlope = 0.6283185307179586;
+    if (typeof iterations !== 'number') iterations = 100;
+    var xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        dx = options.xSize / options.xSegments,
+        dy = options.ySize / options.ySegments,
+        tan = Math.tan(maxSlope),
+        // The largest height difference allowed between neighbors, which are
+        // listed as x-offset, y-offset, and talus.
+        neighbors = [
+            -1, -1, Math.sqrt(dx * dx + dy * dy) * tan,
+            0, -1, dy * tan,
+            1, -1, Math.sqrt(dx * dx + dy * dy) * tan,
+            -1, 0, dx * tan,
+            1, 0, dx * tan,
+            -1, 1, Math.sqrt(dx * dx + dy * dy) * tan,
+            0, 1, dy * tan,
+            1, 1, Math.sqrt(dx * dx + dy * dy) * tan,
+        ],
+        // Stop once the steepest slope is within 1% of the limit.
+        tolerance = Math.min(dx, dy) * tan * 0.01,
+        delta = new Float32Array(g.length),
+        excess = new Float32Array(8),
+        i, j, k, n;
+    for (var iteration = 0; iteration < iterations; iteration++) {
+        var stable = true;
+        delta.fill(0);
+        for (j = 0; j < yl; j++) {
+            for (i = 0; i < xl; i++) {
+                var h = g[j * xl + i],
+                    maxExcess = 0,
+                    totalExcess = 0;
+                for (n = 0; n < 8; n++) {
+                    var ni = i + neighbors[n * 3],
+                        nj = j + neighbors[n * 3 + 1];
+                    excess[n] = 0;
+                    if (ni < 0 || nj < 0 || ni >= xl || nj >= yl) continue;
+                    var e = h - g[nj * xl + ni] - neighbors[n * 3 + 2];
+                    if (e > 0) {
+                        excess[n] = e;
+                        totalExcess += e;
+                        if (e > maxExcess) maxExcess = e;
+                    }
+                }
+                if (maxExcess <= tolerance) continue;
+                stable = false;
+                // Moving half of the largest excess would bring a single
+                // steep neighbor exactly to the limit. Spread that amount
+                // between all the steep neighbors so that they are lowered
+                // proportionally.
+                var amount = maxExcess * 0.5;
+                delta[j * xl + i] -= amount;
+                for (n = 0; n < 8; n++) {
+                    if (excess[n]) {
+                        delta[(j + neighbors[n * 3 + 1]) * xl + i + neighbors[n * 3]] += amount * excess[n] / totalExcess;
+                    }
+                }
+            }
+        }
+        if (stable) break;
+        for (k = 0; k < g.length; k++) {
+            g[k] += delta[k];
+        }
+    }
+};
+
+/**
+ * Carve a road into the terrain along a path.
+ *
+ * The elevation of the terrain is sampled along the path and smoothed so that
+ * the road rises and falls gradually instead of following every bump. Vertices
+ * within `width / 2` of the path are cut or filled to the road's elevation,
+ * and the shoulders on either side blend back into the surrounding terrain
+ * over the distance `shoulder`.
+ *
+ * Usage:
+ *
+ *     var path = new THREE.SplineCurve([
+ *         new THREE.Vector2(-400, -300),
+ *         new THREE.Vector2(0, 100),
+ *         new THREE.Vector2(450, 200),
+ *     ]);
+ *     var result = THREE.Terrain.Road(vertices, options, path, {width: 24});
+ *     console.log(result.cut, result.fill);
+ *
+ * @param {Float32Array} g
+ *   The geometry's z-positions to modify with heightmap data.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}(). Only `xSize`, `ySize`, `xSegments`, and
+ *   `ySegments` are used.
+ * @param {THREE.Curve/THREE.Vector2[]/THREE.Vector3[]} path
+ *   The center line of the road. This can be any `THREE.Curve` (including a
+ *   `THREE.CurvePath`) or a list of points joined by straight lines. Only the
+ *   `x` and `y` coordinates are used; they are in the terrain mesh's local
+ *   space, where `x` runs from `-xSize / 2` to `xSize / 2` and `y` runs from
+ *   `-ySize / 2` to `ySize / 2`. If the list is empty, the terrain is left
+ *   unchanged.
+ * @param {Object} [params]
+ *   A map of settings for the road:
+ *   - `width`: The width of the flat part of the road. Defaults to the size of
+ *     two segments.
+ *   - `shoulder`: The distance over which the road blends into the terrain on
+ *     each side. Defaults to `width`.
+ *   - `easing`: A function that determines how the shoulders blend into the
+ *     terrain, like the `e` parameter of {@link THREE.Terrain.Influence}. It
+ *     is passed the distance across the shoulder from the road (0) to the
+ *     terrain (1) and returns how much of the terrain's original elevation to
+ *     use there. Defaults to `THREE.Terrain.EaseInOut`.
+ *   - `smoothing`: The distance along the road over which its elevation is
+ *     averaged. Larger values result in flatter roads with deeper cuts and
+ *     fills. Defaults to ten times `width`.
+ *
+ * @return {Object}
+ *   An object with the volume of terrain removed (`cut`) and added (`fill`),
+ *   in cubic Three.js units, and the `points` sampled along the center of the
+ *   road as `THREE.Vector3`s whose `z` is the road's elevation.
+ */
+THREE.Terrain.Road = function(g, options, path, params) {
+    params = params || {};
+    var xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        dx = options.xSize / options.xSegments,
+        dy = options.ySize / options.ySegments,
+        width = params.width || Math.max(dx, dy) * 2,
+        shoulder = typeof params.shoulder === 'number' ? params.shoulder : width,
+        easing = params.easing || THREE.Terrain.EaseInOut,
+        smoothing = params.smoothing || width * 10,
+        spacing = Math.min(dx, dy) * 0.5,
+        reach = width * 0.5 + shoulder,
+        xs = [],
+        ys = [],
+        i, j, k, p;
+
+    // Sample the path at regular intervals.
+    if (path instanceof THREE.Curve) {
+        var points = path.getSpacedPoints(Math.max(Math.ceil(path.getLength() / spacing), 1));
+        for (p = 0; p < points.length; p++) {
+            xs.push(points[p].x);
+            ys.push(points[p].y);
+        }
+    }
+    else if (!path.length) {
+        // There is no road to carve.
+        return {cut: 0, fill: 0, points: []};
+    }
+    else {
+        xs.push(path[0].x);
+        ys.push(path[0].y);
+        for (p = 1; p < path.length; p++) {
+            var px = path[p].x - path[p-1].x,
+                py = path[p].y - path[p-1].y,
+                steps = Math.max(Math.ceil(Math.sqrt(px * px + py * py) / spacing), 1);
+            for (var s = 1; s <= steps; s++) {
+                xs.push(path[p-1].x + px * s / steps);
+                ys.push(path[p-1].y + py * s / steps);
+            }
+        }
+    }
+    var n = xs.length,
+        distances = new Float64Array(n),
+        heights = new Float64Array(n),
+        profile = new Float64Array(n);
+
+    // Get the terrain's elevation along the path by interpolating between the
+    // surrounding vertices.
+    for (p = 0; p < n; p++) {
+        if (p) {
+            distances[p] = distances[p-1] + Math.sqrt(
+                (xs[p] - xs[p-1]) * (xs[p] - xs[p-1]) + (ys[p] - ys[p-1]) * (ys[p] - ys[p-1])
+            );
+        }
+        var fi = Math.min(Math.max((xs[p] + options.xSize * 0.5) / dx, 0), xl - 1),
+            fj = Math.min(Math.max((options.ySize * 0.5 - ys[p]) / dy, 0), yl - 1),
+            i0 = Math.min(Math.floor(fi), xl - 2),
+            j0 = Math.min(Math.floor(fj), yl - 2),
+            u = fi - i0,
+            v = fj - j0;
+        k = j0 * xl + i0;
+        heights[p] = (g[k] * (1 - u) + g[k + 1] * u) * (1 - v) + (g[k + xl] * (1 - u) + g[k + xl + 1] * u) * v;
+    }
+
+    // Smooth the elevation along the road with a Gaussian filter.
+    var sigma = smoothing / 6;
+    for (p = 0; p < n; p++) {
+        var sum = 0,
+            weights = 0;
+        for (var q = p; q >= 0 && distances[p] - distances[q] <= smoothing * 0.5; q--) {
+            var wb = Math.exp(-Math.pow((distances[p] - distances[q]) / sigma, 2) * 0.5);
+            sum += heights[q] * wb;
+            weights += wb;
+        }
+        for (q = p + 1; q < n && distances[q] - distances[p] <= smoothing * 0.5; q++) {
+            var wa = Math.exp(-Math.pow((distances[q] - distances[p]) / sigma, 2) * 0.5);
+            sum += heights[q] * wa;
+            weights += wa;
+        }
+        profile[p] = sum / weights;
+    }
+
+    // Find the closest point on the road to each vertex near it.
+    var nearest = new Float32Array(g.length).fill(Infinity),
+        target = new Float32Array(g.length);
+    for (p = 0; p < n; p++) {
+        var q1 = Math.min(p + 1, n - 1),
+            sx = xs[q1] - xs[p],
+            sy = ys[q1] - ys[p],
+            ll = sx * sx + sy * sy;
+        for (j = Math.max(Math.ceil((options.ySize * 0.5 - Math.max(ys[p], ys[q1]) - reach) / dy), 0); j < yl; j++) {
+            var y = options.ySize * 0.5 - j * dy;
+            if (y < Math.min(ys[p], ys[q1]) - reach) break;
+            for (i = Math.max(Math.ceil((Math.min(xs[p], xs[q1]) + options.xSize * 0.5 - reach) / dx), 0); i < xl; i++) {
+                var x = i * dx - options.xSize * 0.5;
+                if (x > Math.max(xs[p], xs[q1]) + reach) break;
+                var t = ll ? Math.min(Math.max(((x - xs[p]) * sx + (y - ys[p]) * sy) / ll, 0), 1) : 0,
+                    ex = x - xs[p] - sx * t,
+                    ey = y - ys[p] - sy * t,
+                    d = Math.sqrt(ex * ex + ey * ey);
+                k = j * xl + i;
+                if (d < nearest[k]) {
+                    nearest[k] = d;
+                    target[k] = profile[p] + (profile[q1] - profile[p]) * t;
+                }
+            }
+        }
+    }
+
+    // Grade the road and its shoulders.
+    var cut = 0,
+        fill = 0;
+    for (k = 0; k < g.length; k++) {
+        if (nearest[k] > reach) continue;
+        var e = nearest[k] <= width * 0.5 ? 0 : easing((nearest[k] - width * 0.5) / shoulder),
+            z = target[k] + (g[k] - target[k]) * e;
+        if (z < g[k]) cut += (g[k] - z) * dx * dy;
+        else fill += (z - g[k]) * dx * dy;
+        g[k] = z;
+    }
+    var center = new Array(n);
+    for (p = 0; p < n; p++) {
+        center[p] = new THREE.Vector3(xs[p], ys[p], profile[p]);
+    }
+    return {cut: cut, fill: fill, points: center};
+};
+
 /**
  * Partition a terrain into flat steps.
  *
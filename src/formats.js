@@ -0,0 +1,1369 @@
+(function() {
+
+/**
+ * Get the range of elevations to map to the range of values in a heightmap.
+ *
+ * @param {Float32Array} g
+ *   The vertex position array for the geometry.
+ * @param {Number} [min]
+ *   The lowest elevation. Defaults to the lowest elevation in `g`.
+ * @param {Number} [max]
+ *   The highest elevation. Defaults to the highest elevation in `g`.
+ *
+ * @return {Object}
+ *   An object with the `min` and `max` elevations.
+ */
+function getRange(g, min, max) {
+    var hasMax = typeof max !== 'undefined',
+        hasMin = typeof min !== 'undefined';
+    if (!hasMax || !hasMin) {
+        var max2 = -Infinity,
+            min2 =  Infinity;
+        for (var k = 2, l = g.length; k < l; k += 3) {
+            if (g[k] > max2) max2 = g[k];
+            if (g[k] < min2) min2 = g[k];
+        }
+        if (!hasMax) max = max2;
+        if (!hasMin) min = min2;
+    }
+    return {min: min, max: max};
+}
+
+/**
+ * Get the bytes of a buffer.
+ *
+ * @param {ArrayBuffer/ArrayBufferView} buffer
+ *   An `ArrayBuffer`, a typed array, or a Node.js `Buffer`.
+ *
+ * @return {Uint8Array}
+ *   The bytes of the buffer (not a copy).
+ */
+function getBytes(buffer) {
+    if (ArrayBuffer.isView(buffer)) {
+        return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    }
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Get the width and height of a raw heightmap file.
+ *
+ * @param {Number} count
+ *   The number of values in the file.
+ * @param {Object} [params]
+ *   The parameters passed to {@link THREE.Terrain.fromR16} or
+ *   {@link THREE.Terrain.fromR32}. Either or both of `width` and `height` can
+ *   be set; otherwise the heightmap is assumed to be square.
+ *
+ * @return {Object}
+ *   An object with the `width` and `height` of the heightmap.
+ */
+function getRawSize(count, params) {
+    var width = params && params.width,
+        height = params && params.height;
+    if (!width && !height) width = height = Math.round(Math.sqrt(count));
+    else if (!width) width = count / height;
+    else if (!height) height = count / width;
+    if (width * height !== count) {
+        throw new Error('The heightmap size does not match its data; set `width` and `height`');
+    }
+    return {width: width, height: height};
+}
+
+/**
+ * Build a heightmap from decoded data, converting it to elevations if an
+ * explicit range of elevations was given.
+ *
+ * @param {Uint8Array/Uint16Array/Float32Array} data
+ *   The value of each pixel (or each channel of each pixel).
+ * @param {Number} width
+ *   The width of the heightmap in pixels.
+ * @param {Number} height
+ *   The height of the heightmap in pixels.
+ * @param {Object} [params]
+ *   If `min` and `max` are both set, they are the elevations that the lowest
+ *   and highest possible values map to.
+ * @param {Number} scale
+ *   The highest possible value.
+ *
+ * @return {Object}
+ *   An object with the `width`, `height`, and `data` of the heightmap.
+ */
+function decoded(data, width, height, params, scale) {
+    if (hasRange(params)) {
+        var elevations = new Float32Array(data.length),
+            spread = params.max - params.min;
+        for (var i = 0, l = data.length; i < l; i++) {
+            elevations[i] = data[i] / scale * spread + params.min;
+        }
+        data = elevations;
+    }
+    return {width: width, height: height, data: data};
+}
+
+/**
+ * Whether both `min` and `max` are set in an object.
+ */
+function hasRange(params) {
+    return !!params && typeof params.min === 'number' && typeof params.max === 'number';
+}
+
+/**
+ * Decode the elevations in an RGB heightmap.
+ *
+ * @param {Object} image
+ *   An object with the `width` and `height` of the image in pixels and the
+ *   `data` of each pixel, with three or four channels per pixel.
+ * @param {Object} encoding
+ *   How elevations are encoded. See {@link THREE.Terrain.TerrainRGB}.
+ *
+ * @return {Object}
+ *   An object with the `width` and `height` of the heightmap and a
+ *   `Float32Array` of elevations in `data`.
+ */
+function decodeRGB(image, encoding) {
+    var count = image.width * image.height,
+        channels = Math.round(image.data.length / count),
+        data = new Float32Array(count);
+    if (channels < 3) throw new Error('The heightmap is not an RGB image');
+    for (var k = 0; k < count; k++) {
+        var idx = k * channels;
+        data[k] = encoding.offset +
+            (image.data[idx] * 65536 + image.data[idx + 1] * 256 + image.data[idx + 2]) * encoding.scale;
+    }
+    return {width: image.width, height: image.height, data: data};
+}
+
+/**
+ * Encode an elevation as a 24-bit integer (red * 65536 + green * 256 + blue).
+ */
+function encodeRGB(z, encoding) {
+    return Math.min(Math.max(Math.round((z - encoding.offset) / encoding.scale), 0), 16777215);
+}
+
+/**
+ * Map an elevation to an integer between 0 and `scale`.
+ */
+function quantize(z, min, spread, scale) {
+    return Math.round(Math.min(Math.max((z - min) / (spread || 1), 0), 1) * scale);
+}
+
+var CRC_TABLE,
+    PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10],
+    PNG_CHANNELS = {0: 1, 2: 3, 4: 2, 6: 4},
+    LENGTH_BASE = [
+        3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+        35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258,
+    ],
+    LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0],
+    DISTANCE_BASE = [
+        1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+        257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+    ],
+    DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13],
+    CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Compute the CRC-32 checksum of some bytes, as used in PNG chunks.
+ */
+function crc32(bytes) {
+    if (!CRC_TABLE) {
+        CRC_TABLE = new Int32Array(256);
+        for (var n = 0; n < 256; n++) {
+            var c = n;
+            for (var k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            CRC_TABLE[n] = c;
+        }
+    }
+    var crc = -1;
+    for (var i = 0, l = bytes.length; i < l; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Wrap data in a zlib stream without compressing it.
+ *
+ * @param {Uint8Array} data
+ *   The data to wrap.
+ *
+ * @return {Uint8Array}
+ *   The zlib stream, made of "stored" deflate blocks.
+ */
+function zlibStore(data) {
+    var blocks = Math.max(Math.ceil(data.length / 65535), 1),
+        out = new Uint8Array(2 + blocks * 5 + data.length + 4),
+        pos = 2,
+        a = 1,
+        b = 0;
+    out[0] = 0x78;
+    out[1] = 0x01;
+    for (var i = 0; i < blocks; i++) {
+        var start = i * 65535,
+            length = Math.min(data.length - start, 65535);
+        out[pos] = i === blocks - 1 ? 1 : 0;
+        out[pos + 1] = length & 255;
+        out[pos + 2] = length >>> 8;
+        out[pos + 3] = ~length & 255;
+        out[pos + 4] = (~length >>> 8) & 255;
+        out.set(data.subarray(start, start + length), pos + 5);
+        pos += 5 + length;
+    }
+    // Adler-32 checksum
+    for (var j = 0, l = data.length; j < l; j++) {
+        a = (a + data[j]) % 65521;
+        b = (b + a) % 65521;
+    }
+    new DataView(out.buffer).setUint32(pos, ((b << 16) | a) >>> 0);
+    return out;
+}
+
+/**
+ * Build a canonical Huffman code from the code length of each symbol.
+ */
+function huffman(lengths) {
+    var counts = new Uint16Array(16),
+        offsets = new Uint16Array(16),
+        symbols = new Uint16Array(lengths.length),
+        i;
+    for (i = 0; i < lengths.length; i++) {
+        counts[lengths[i]]++;
+    }
+    counts[0] = 0;
+    for (i = 1; i < 16; i++) {
+        offsets[i] = offsets[i - 1] + counts[i - 1];
+    }
+    for (i = 0; i < lengths.length; i++) {
+        if (lengths[i]) symbols[offsets[lengths[i]]++] = i;
+    }
+    return {counts: counts, symbols: symbols};
+}
+
+/**
+ * Decompress a zlib stream, like the image data in a PNG.
+ *
+ * @param {Uint8Array} data
+ *   The zlib stream.
+ * @param {Number} size
+ *   The expected size of the decompressed data.
+ *
+ * @return {Uint8Array}
+ *   The decompressed data.
+ */
+function inflate(data, size) {
+    var out = new Uint8Array(size),
+        outPos = 0,
+        pos = 2,
+        bitBuffer = 0,
+        bitCount = 0,
+        fixedLengths,
+        fixedDistances,
+        final,
+        type,
+        i;
+    if ((data[0] & 15) !== 8 || (data[0] << 8 | data[1]) % 31 || data[1] & 32) {
+        throw new Error('Invalid zlib stream');
+    }
+    function bits(n) {
+        while (bitCount < n) {
+            if (pos >= data.length) throw new Error('Unexpected end of zlib stream');
+            bitBuffer |= data[pos++] << bitCount;
+            bitCount += 8;
+        }
+        var value = bitBuffer & ((1 << n) - 1);
+        bitBuffer >>>= n;
+        bitCount -= n;
+        return value;
+    }
+    function decode(code) {
+        var value = 0,
+            first = 0,
+            index = 0;
+        for (var length = 1; length < 16; length++) {
+            value |= bits(1);
+            var count = code.counts[length];
+            if (value - count < first) return code.symbols[index + value - first];
+            index += count;
+            first = (first + count) << 1;
+            value <<= 1;
+        }
+        throw new Error('Invalid Huffman code in zlib stream');
+    }
+    function reserve(n) {
+        if (outPos + n > out.length) {
+            var larger = new Uint8Array(Math.max(out.length * 2, outPos + n));
+            larger.set(out);
+            out = larger;
+        }
+    }
+    do {
+        final = bits(1);
+        type = bits(2);
+        if (type === 0) {
+            bitBuffer = bitCount = 0;
+            var length = data[pos] | (data[pos + 1] << 8);
+            pos += 4;
+            reserve(length);
+            out.set(data.subarray(pos, pos + length), outPos);
+            outPos += length;
+            pos += length;
+            continue;
+        }
+        var lengthCode,
+            distanceCode;
+        if (type === 1) {
+            if (!fixedLengths) {
+                var lengths = new Uint8Array(288);
+                for (i = 0; i < 288; i++) {
+                    lengths[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+                }
+                fixedLengths = huffman(lengths);
+                fixedDistances = huffman(new Uint8Array(30).fill(5));
+            }
+            lengthCode = fixedLengths;
+            distanceCode = fixedDistances;
+        }
+        else if (type === 2) {
+            var literals = bits(5) + 257,
+                distances = bits(5) + 1,
+                codeLengths = bits(4) + 4,
+                order = new Uint8Array(19),
+                all = new Uint8Array(literals + distances);
+            for (i = 0; i < codeLengths; i++) {
+                order[CODE_LENGTH_ORDER[i]] = bits(3);
+            }
+            var codeLengthCode = huffman(order);
+            for (i = 0; i < all.length; ) {
+                var symbol = decode(codeLengthCode),
+                    repeat = 1,
+                    value = symbol;
+                if (symbol === 16) {
+                    if (!i) throw new Error('Invalid code lengths in zlib stream');
+                    value = all[i - 1];
+                    repeat = 3 + bits(2);
+                }
+                else if (symbol === 17) {
+                    value = 0;
+                    repeat = 3 + bits(3);
+                }
+                else if (symbol === 18) {
+                    value = 0;
+                    repeat = 11 + bits(7);
+                }
+                while (repeat--) {
+                    all[i++] = value;
+                }
+            }
+            lengthCode = huffman(all.subarray(0, literals));
+            distanceCode = huffman(all.subarray(literals));
+        }
+        else {
+            throw new Error('Invalid block type in zlib stream');
+        }
+        for (;;) {
+            var s = decode(lengthCode);
+            if (s < 256) {
+                reserve(1);
+                out[outPos++] = s;
+                continue;
+            }
+            if (s === 256) break;
+            s -= 257;
+            var n = LENGTH_BASE[s] + bits(LENGTH_EXTRA[s]),
+                d = decode(distanceCode),
+                distance = DISTANCE_BASE[d] + bits(DISTANCE_EXTRA[d]);
+            reserve(n);
+            for (var c = 0; c < n; c++, outPos++) {
+                out[outPos] = out[outPos - distance];
+            }
+        }
+    } while (!final);
+    return out.subarray(0, outPos);
+}
+
+/**
+ * Undo the PNG filter applied to each row of pixels.
+ *
+ * @param {Uint8Array} raw
+ *   The decompressed image data: each row starts with a filter type byte.
+ * @param {Number} rows
+ *   The number of rows in the image.
+ * @param {Number} rowBytes
+ *   The number of bytes in each row, excluding the filter type.
+ * @param {Number} bpp
+ *   The number of bytes per pixel (at least one).
+ *
+ * @return {Uint8Array}
+ *   The unfiltered pixel data.
+ */
+function unfilter(raw, rows, rowBytes, bpp) {
+    var pixels = new Uint8Array(rows * rowBytes);
+    for (var y = 0; y < rows; y++) {
+        var filter = raw[y * (rowBytes + 1)],
+            src = y * (rowBytes + 1) + 1,
+            dst = y * rowBytes;
+        if (filter > 4) throw new Error('Invalid PNG filter type');
+        for (var x = 0; x < rowBytes; x++) {
+            var a = x >= bpp ? pixels[dst + x - bpp] : 0,
+                b = y ? pixels[dst + x - rowBytes] : 0,
+                c = x >= bpp && y ? pixels[dst + x - rowBytes - bpp] : 0,
+                v = raw[src + x];
+            if      (filter === 1) v += a; // jscs:ignore requireSpaceAfterKeywords
+            else if (filter === 2) v += b;
+            else if (filter === 3) v += (a + b) >> 1;
+            else if (filter === 4) {
+                var p = a + b - c,
+                    pa = Math.abs(p - a),
+                    pb = Math.abs(p - b),
+                    pc = Math.abs(p - c);
+                v += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+            }
+            pixels[dst + x] = v & 255;
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Decompress TIFF data compressed with LZW.
+ *
+ * @param {Uint8Array} data
+ *   The compressed data.
+ * @param {Number} size
+ *   The expected size of the decompressed data.
+ *
+ * @return {Uint8Array}
+ *   The decompressed data.
+ */
+function lzw(data, size) {
+    var out = new Uint8Array(size),
+        // Each code refers to a string already written to the output.
+        offsets = new Int32Array(4096),
+        lengths = new Int32Array(4096),
+        outPos = 0,
+        bitPos = 0,
+        bitLength = 9,
+        next = 258,
+        prevStart = -1,
+        prevLength = 0,
+        end = data.length * 8;
+    while (bitPos + bitLength <= end) {
+        var byte = bitPos >>> 3,
+            code = (((data[byte] << 16) | (data[byte + 1] << 8) | data[byte + 2]) >>> (24 - (bitPos & 7) - bitLength)) &
+                ((1 << bitLength) - 1);
+        bitPos += bitLength;
+        if (code === 257) break;
+        if (code === 256) {
+            next = 258;
+            bitLength = 9;
+            prevStart = -1;
+            continue;
+        }
+        // The next string is the previous one plus the first byte of this one.
+        if (prevStart !== -1 && next < 4096) {
+            offsets[next] = prevStart;
+            lengths[next] = prevLength + 1;
+            next++;
+        }
+        if (code >= next) throw new Error('Invalid LZW code');
+        var length = code < 256 ? 1 : lengths[code];
+        if (outPos + length > out.length) {
+            var larger = new Uint8Array(Math.max(out.length * 2, outPos + length));
+            larger.set(out);
+            out = larger;
+        }
+        if (code < 256) {
+            out[outPos] = code;
+        }
+        else {
+            // Copy forward one byte at a time; the source can overlap.
+            for (var i = 0, src = offsets[code]; i < length; i++) {
+                out[outPos + i] = out[src + i];
+            }
+        }
+        prevStart = outPos;
+        prevLength = length;
+        outPos += length;
+        if (next >= (1 << bitLength) - 1 && bitLength < 12) bitLength++;
+    }
+    return out.subarray(0, outPos);
+}
+
+/**
+ * Decompress TIFF data compressed with PackBits.
+ *
+ * @param {Uint8Array} data
+ *   The compressed data.
+ * @param {Number} size
+ *   The size of the decompressed data.
+ *
+ * @return {Uint8Array}
+ *   The decompressed data.
+ */
+function packBits(data, size) {
+    var out = new Uint8Array(size),
+        outPos = 0,
+        pos = 0;
+    while (pos < data.length && outPos < size) {
+        var n = data[pos++];
+        if (n < 128) {
+            out.set(data.subarray(pos, pos + n + 1), outPos);
+            outPos += n + 1;
+            pos += n + 1;
+        }
+        else if (n > 128) {
+            out.fill(data[pos++], outPos, outPos + 257 - n);
+            outPos += 257 - n;
+        }
+    }
+    return out;
+}
+
+var TIFF_TYPE_SIZES = {1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8},
+    // The radius of the Earth in meters, for converting degrees to meters.
+    EARTH_RADIUS = 6371008.8;
+
+/**
+ * Read the tags in the first image file directory of a TIFF file.
+ *
+ * @param {DataView} view
+ *   The contents of the file.
+ * @param {Boolean} little
+ *   Whether the file is little-endian.
+ *
+ * @return {Object}
+ *   A map from tag number to an array of values (or a string for ASCII tags).
+ */
+function readTIFFTags(view, little) {
+    var ifd = view.getUint32(4, little),
+        count = view.getUint16(ifd, little),
+        tags = {};
+    for (var i = 0; i < count; i++) {
+        var entry = ifd + 2 + i * 12,
+            tag = view.getUint16(entry, little),
+            type = view.getUint16(entry + 2, little),
+            n = view.getUint32(entry + 4, little),
+            size = TIFF_TYPE_SIZES[type];
+        if (!size) continue;
+        var offset = n * size <= 4 ? entry + 8 : view.getUint32(entry + 8, little),
+            values = [];
+        for (var j = 0; j < n; j++) {
+            var p = offset + j * size;
+            if      (type === 3)  values.push(view.getUint16(p, little)); // jscs:ignore requireSpaceAfterKeywords
+            else if (type === 4)  values.push(view.getUint32(p, little));
+            else if (type === 5)  values.push(view.getUint32(p, little) / view.getUint32(p + 4, little));
+            else if (type === 6)  values.push(view.getInt8(p));
+            else if (type === 8)  values.push(view.getInt16(p, little));
+            else if (type === 9)  values.push(view.getInt32(p, little));
+            else if (type === 10) values.push(view.getInt32(p, little) / view.getInt32(p + 4, little));
+            else if (type === 11) values.push(view.getFloat32(p, little));
+            else if (type === 12) values.push(view.getFloat64(p, little));
+            else values.push(view.getUint8(p));
+        }
+        tags[tag] = type === 2 ? String.fromCharCode.apply(null, values).replace(/\0+$/, '') : values;
+    }
+    return tags;
+}
+
+/**
+ * Get the size of a degree of longitude and latitude in meters.
+ *
+ * @param {Number} latitude
+ *   The latitude, in degrees.
+ *
+ * @return {Object}
+ *   An object with the approximate number of meters per degree along the
+ *   `x`-axis (longitude) and `y`-axis (latitude).
+ */
+function metersPerDegree(latitude) {
+    var y = EARTH_RADIUS * Math.PI / 180;
+    return {x: y * Math.cos(latitude * Math.PI / 180), y: y};
+}
+
+/**
+ * Fill gaps in elevation data and apply it to the terrain options.
+ *
+ * @param {Float32Array} data
+ *   The elevation of each cell, in rows from the top. Modified in place.
+ * @param {Uint8Array} valid
+ *   Whether each cell has data (1) or not (0). Modified in place.
+ * @param {Number} width
+ *   The number of columns of cells.
+ * @param {Number} height
+ *   The number of rows of cells.
+ * @param {Number} cellWidth
+ *   The distance between columns of cells, in meters.
+ * @param {Number} cellHeight
+ *   The distance between rows of cells, in meters.
+ * @param {Object} options
+ *   The terrain options to modify.
+ * @param {Object} [params]
+ *   The parameters passed to the function reading the file.
+ *
+ * @return {Float32Array}
+ *   `data`.
+ */
+function finishDEM(data, valid, width, height, cellWidth, cellHeight, options, params) {
+    var queue = [],
+        min = Infinity,
+        max = -Infinity,
+        adjacent,
+        k,
+        n;
+    params = params || {};
+    if (typeof params.cellSize === 'number') cellWidth = cellHeight = params.cellSize;
+    function neighbors(k) {
+        var i = k % width,
+            result = [];
+        if (i > 0) result.push(k - 1);
+        if (i < width - 1) result.push(k + 1);
+        if (k >= width) result.push(k - width);
+        if (k < data.length - width) result.push(k + width);
+        return result;
+    }
+    if (typeof params.noData === 'number') {
+        for (k = 0; k < data.length; k++) {
+            if (!valid[k]) data[k] = params.noData;
+        }
+    }
+    else {
+        // Fill gaps from the outside in with the average of the neighboring
+        // cells that have data.
+        for (k = 0; k < data.length; k++) {
+            if (valid[k]) continue;
+            data[k] = 0;
+            adjacent = neighbors(k);
+            for (n = 0; n < adjacent.length; n++) {
+                if (valid[adjacent[n]] === 1) {
+                    valid[k] = 2;
+                    queue.push(k);
+                    break;
+                }
+            }
+        }
+        for (var q = 0; q < queue.length; q++) {
+            var sum = 0,
+                count = 0;
+            k = queue[q];
+            adjacent = neighbors(k);
+            for (n = 0; n < adjacent.length; n++) {
+                var m = adjacent[n];
+                if (valid[m] === 1) {
+                    sum += data[m];
+                    count++;
+                }
+                else if (!valid[m]) {
+                    valid[m] = 2;
+                    queue.push(m);
+                }
+            }
+            data[k] = sum / count;
+            valid[k] = 1;
+        }
+    }
+    for (k = 0; k < data.length; k++) {
+        if (data[k] < min) min = data[k];
+        if (data[k] > max) max = data[k];
+    }
+    options.xSegments = width - 1;
+    options.ySegments = height - 1;
+    options.xSize = (width - 1) * cellWidth;
+    options.ySize = (height - 1) * cellHeight;
+    options.minHeight = min;
+    options.maxHeight = max;
+    return data;
+}
+
+/**
+ * Read a PNG heightmap, including 16-bit grayscale PNGs.
+ *
+ * Browsers reduce images to 8 bits per channel when drawing them onto a
+ * canvas, so {@link THREE.Terrain.fromHeightmap} can only distinguish 256
+ * levels of elevation in an image, which causes visible terracing on large
+ * terrains. This reads the PNG file directly instead, keeping all 65536
+ * levels of a 16-bit PNG. It works anywhere, including in Node.js.
+ *
+ * Grayscale, gray and alpha, RGB, and RGBA PNGs with 8 or 16 bits per channel
+ * are supported. Palette-based and interlaced PNGs are not.
+ *
+ * Usage:
+ *
+ *     fetch('heightmap.png').then(function(response) {
+ *         return response.arrayBuffer();
+ *     }).then(function(buffer) {
+ *         var heightmap = THREE.Terrain.fromPNG(buffer);
+ *         scene.add(THREE.Terrain({
+ *             heightmap: heightmap,
+ *             xSegments: heightmap.width - 1,
+ *             ySegments: heightmap.height - 1,
+ *         }));
+ *     });
+ *
+ * @param {ArrayBuffer/ArrayBufferView} buffer
+ *   The contents of the PNG file.
+ * @param {Object} [params]
+ *   Parameters for reading the image:
+ *   - `min` and `max`: If both are set, the elevations (e.g. in meters) that
+ *     black and white map to. Otherwise the values are scaled to span
+ *     `options.minHeight` to `options.maxHeight` when the heightmap is used.
+ *   - `encoding`: If set, the image is an RGB heightmap with elevations
+ *     encoded in this format, like {@link THREE.Terrain.TerrainRGB} or
+ *     {@link THREE.Terrain.Terrarium}, instead of a grayscale heightmap. It
+ *     must have 8 bits per channel.
+ *
+ * @return {Object}
+ *   A heightmap that can be used as `options.heightmap` for
+ *   {@link THREE.Terrain}(): an object with the `width` and `height` of the
+ *   image in pixels and the `data` of each pixel, in a `Uint16Array` for
+ *   16-bit images, a `Uint8Array` for 8-bit images, or a `Float32Array` of
+ *   elevations if `params.min` and `params.max` or `params.encoding` are set.
+ */
+THREE.Terrain.fromPNG = function(buffer, params) {
+    var bytes = getBytes(buffer),
+        view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+        chunks = [],
+        size = 0,
+        pos = 8,
+        width,
+        height,
+        depth,
+        channels,
+        i;
+    for (i = 0; i < 8; i++) {
+        if (bytes[i] !== PNG_SIGNATURE[i]) throw new Error('Not a PNG file');
+    }
+    while (pos + 8 <= bytes.length) {
+        var length = view.getUint32(pos),
+            type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]);
+        if (type === 'IHDR') {
+            width = view.getUint32(pos + 8);
+            height = view.getUint32(pos + 12);
+            depth = bytes[pos + 16];
+            channels = PNG_CHANNELS[bytes[pos + 17]];
+            if (!channels) throw new Error('Palette-based PNGs are not supported');
+            if (depth !== 8 && depth !== 16) throw new Error('Only PNGs with 8 or 16 bits per channel are supported');
+            if (bytes[pos + 20]) throw new Error('Interlaced PNGs are not supported');
+        }
+        else if (type === 'IDAT') {
+            chunks.push(bytes.subarray(pos + 8, pos + 8 + length));
+            size += length;
+        }
+        else if (type === 'IEND') {
+            break;
+        }
+        pos += 12 + length;
+    }
+    if (!width || !chunks.length) throw new Error('The PNG file has no image data');
+
+    var compressed = new Uint8Array(size),
+        bpp = channels * depth / 8,
+        rowBytes = width * bpp;
+    for (i = 0, pos = 0; i < chunks.length; i++) {
+        compressed.set(chunks[i], pos);
+        pos += chunks[i].length;
+    }
+    var pixels = unfilter(inflate(compressed, height * (rowBytes + 1)), height, rowBytes, bpp),
+        data = depth === 16 ? new Uint16Array(width * height * channels) : pixels;
+    if (depth === 16) {
+        for (i = 0; i < data.length; i++) {
+            data[i] = (pixels[i * 2] << 8) | pixels[i * 2 + 1];
+        }
+    }
+    if (params && params.encoding) {
+        if (depth !== 8) throw new Error('Encoded RGB heightmaps must have 8 bits per channel');
+        return decodeRGB({width: width, height: height, data: data}, params.encoding);
+    }
+    return decoded(data, width, height, params, depth === 16 ? 65535 : 255);
+};
+
+/**
+ * Convert a terrain plane into a PNG heightmap.
+ *
+ * Unlike {@link THREE.Terrain.toHeightmap}, this writes 16 bits per pixel by
+ * default, so 65536 levels of elevation are preserved instead of 256, or it
+ * can encode elevations in the red, green, and blue channels of an 8-bit RGB
+ * image (see {@link THREE.Terrain.TerrainRGB}). It works
+ * anywhere, including in Node.js. The image data is not compressed, so the
+ * file is larger than the same image saved by an image editor.
+ *
+ * @param {Float32Array} g
+ *   The vertex position array for the geometry to export.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}().
+ * @param {Object} [params]
+ *   Parameters for the image:
+ *   - `min`: The elevation (e.g. in meters) that maps to black. Defaults to
+ *     `options.minHeight` if set, or else the lowest point of the terrain.
+ *   - `max`: The elevation that maps to white. Defaults to `options.maxHeight`
+ *     if set, or else the highest point of the terrain.
+ *   - `bitDepth`: 16 (the default) or 8 bits per pixel.
+ *   - `encoding`: If set, the elevations are encoded in this format, like
+ *     {@link THREE.Terrain.TerrainRGB} or {@link THREE.Terrain.Terrarium},
+ *     in an RGB image instead of a grayscale one. `min`, `max`, and
+ *     `bitDepth` are ignored.
+ *
+ * @return {Uint8Array}
+ *   The contents of the PNG file.
+ */
+THREE.Terrain.toPNG = function(g, options, params) {
+    params = params || {};
+    var range = getRange(
+            g,
+            typeof params.min === 'undefined' ? options.minHeight : params.min,
+            typeof params.max === 'undefined' ? options.maxHeight : params.max
+        ),
+        encoding = params.encoding,
+        depth = encoding || params.bitDepth === 8 ? 8 : 16,
+        scale = depth === 16 ? 65535 : 255,
+        bpp = (encoding ? 3 : 1) * depth / 8,
+        rows = options.ySegments + 1,
+        cols = options.xSegments + 1,
+        rowBytes = cols * bpp,
+        raw = new Uint8Array(rows * (rowBytes + 1));
+    for (var row = 0; row < rows; row++) {
+        for (var col = 0; col < cols; col++) {
+            var z = g[(row * cols + col) * 3 + 2],
+                idx = row * (rowBytes + 1) + 1 + col * bpp,
+                v = encoding ? encodeRGB(z, encoding) : quantize(z, range.min, range.max - range.min, scale);
+            if (encoding) {
+                raw[idx] = v >>> 16;
+                raw[idx + 1] = (v >>> 8) & 255;
+                raw[idx + 2] = v & 255;
+            }
+            else if (depth === 16) {
+                raw[idx] = v >>> 8;
+                raw[idx + 1] = v & 255;
+            }
+            else {
+                raw[idx] = v;
+            }
+        }
+    }
+    var header = new Uint8Array(13),
+        headerView = new DataView(header.buffer);
+    headerView.setUint32(0, cols);
+    headerView.setUint32(4, rows);
+    header[8] = depth;
+    header[9] = encoding ? 2 : 0;
+    var chunks = [['IHDR', header], ['IDAT', zlibStore(raw)], ['IEND', new Uint8Array(0)]],
+        size = 8,
+        i;
+    for (i = 0; i < chunks.length; i++) {
+        size += 12 + chunks[i][1].length;
+    }
+    var png = new Uint8Array(size),
+        view = new DataView(png.buffer),
+        pos = 8;
+    png.set(PNG_SIGNATURE);
+    for (i = 0; i < chunks.length; i++) {
+        var data = chunks[i][1];
+        view.setUint32(pos, data.length);
+        for (var c = 0; c < 4; c++) {
+            png[pos + 4 + c] = chunks[i][0].charCodeAt(c);
+        }
+        png.set(data, pos + 8);
+        view.setUint32(pos + 8 + data.length, crc32(png.subarray(pos + 4, pos + 8 + data.length)));
+        pos += 12 + data.length;
+    }
+    return png;
+};
+
+/**
+ * Read a heightmap from a raw file of little-endian 16-bit unsigned integers.
+ *
+ * This is the `.r16` or `.raw` format used by tools like World Machine and
+ * Gaea and by Unity's and Unreal's terrain tools. The file contains only the
+ * elevations, in rows from the top, so its size must be known if it is not
+ * square.
+ *
+ * @param {ArrayBuffer/ArrayBufferView} buffer
+ *   The contents of the file.
+ * @param {Object} [params]
+ *   Parameters for reading the file:
+ *   - `width`: The width of the heightmap in pixels. Defaults to the height,
+ *     or to the square root of the number of values if neither is given.
+ *   - `height`: The height of the heightmap in pixels. Defaults to the width.
+ *   - `min` and `max`: If both are set, the elevations (e.g. in meters) that 0
+ *     and 65535 map to. Otherwise the values are scaled to span
+ *     `options.minHeight` to `options.maxHeight` when the heightmap is used.
+ *
+ * @return {Object}
+ *   A heightmap that can be used as `options.heightmap` for
+ *   {@link THREE.Terrain}(): an object with the `width` and `height` of the
+ *   heightmap and the `data` of each pixel, in a `Uint16Array`, or a
+ *   `Float32Array` of elevations if `params.min` and `params.max` are set.
+ */
+THREE.Terrain.fromR16 = function(buffer, params) {
+    var bytes = getBytes(buffer),
+        view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+        data = new Uint16Array(Math.floor(bytes.length / 2)),
+        size = getRawSize(data.length, params);
+    for (var i = 0; i < data.length; i++) {
+        data[i] = view.getUint16(i * 2, true);
+    }
+    return decoded(data, size.width, size.height, params, 65535);
+};
+
+/**
+ * Convert a terrain plane into a raw file of little-endian 16-bit unsigned
+ * integers.
+ *
+ * See {@link THREE.Terrain.fromR16} for details about the format.
+ *
+ * @param {Float32Array} g
+ *   The vertex position array for the geometry to export.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}().
+ * @param {Object} [params]
+ *   Parameters for the file:
+ *   - `min`: The elevation (e.g. in meters) that maps to 0. Defaults to
+ *     `options.minHeight` if set, or else the lowest point of the terrain.
+ *   - `max`: The elevation that maps to 65535. Defaults to `options.maxHeight`
+ *     if set, or else the highest point of the terrain.
+ *
+ * @return {Uint8Array}
+ *   The contents of the file.
+ */
+THREE.Terrain.toR16 = function(g, options, params) {
+    params = params || {};
+    var range = getRange(
+            g,
+            typeof params.min === 'undefined' ? options.minHeight : params.min,
+            typeof params.max === 'undefined' ? options.maxHeight : params.max
+        ),
+        count = (options.xSegments + 1) * (options.ySegments + 1),
+        bytes = new Uint8Array(count * 2),
+        view = new DataView(bytes.buffer);
+    for (var i = 0; i < count; i++) {
+        view.setUint16(i * 2, quantize(g[i * 3 + 2], range.min, range.max - range.min, 65535), true);
+    }
+    return bytes;
+};
+
+/**
+ * Read a heightmap from a raw file of little-endian 32-bit floats.
+ *
+ * This is the `.r32` (or float `.raw`) format used by tools like World
+ * Machine and Gaea. The file contains only the elevations, in rows from the
+ * top, so its size must be known if it is not square.
+ *
+ * @param {ArrayBuffer/ArrayBufferView} buffer
+ *   The contents of the file.
+ * @param {Object} [params]
+ *   Parameters for reading the file:
+ *   - `width`: The width of the heightmap in pixels. Defaults to the height,
+ *     or to the square root of the number of values if neither is given.
+ *   - `height`: The height of the heightmap in pixels. Defaults to the width.
+ *   - `min` and `max`: If both are set, the values in the file are treated as
+ *     normalized between 0 and 1, and these are the elevations (e.g. in
+ *     meters) that 0 and 1 map to. Otherwise the values are used as
+ *     elevations as-is.
+ *
+ * @return {Object}
+ *   A heightmap that can be used as `options.heightmap` for
+ *   {@link THREE.Terrain}(): an object with the `width` and `height` of the
+ *   heightmap and a `Float32Array` of elevations in `data`.
+ */
+THREE.Terrain.fromR32 = function(buffer, params) {
+    var bytes = getBytes(buffer),
+        view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+        data = new Float32Array(Math.floor(bytes.length / 4)),
+        size = getRawSize(data.length, params);
+    for (var i = 0; i < data.length; i++) {
+        data[i] = view.getFloat32(i * 4, true);
+    }
+    return decoded(data, size.width, size.height, params, 1);
+};
+
+/**
+ * Convert a terrain plane into a raw file of little-endian 32-bit floats.
+ *
+ * See {@link THREE.Terrain.fromR32} for details about the format.
+ *
+ * @param {Float32Array} g
+ *   The vertex position array for the geometry to export.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}().
+ * @param {Object} [params]
+ *   If both `min` and `max` are set, elevations are normalized so that `min`
+ *   (e.g. in meters) is written as 0 and `max` as 1. Otherwise elevations are
+ *   written as-is.
+ *
+ * @return {Uint8Array}
+ *   The contents of the file.
+ */
+THREE.Terrain.toR32 = function(g, options, params) {
+    var count = (options.xSegments + 1) * (options.ySegments + 1),
+        bytes = new Uint8Array(count * 4),
+        view = new DataView(bytes.buffer),
+        normalize = hasRange(params),
+        min = normalize ? params.min : 0,
+        spread = normalize ? params.max - params.min : 1;
+    for (var i = 0; i < count; i++) {
+        view.setFloat32(i * 4, (g[i * 3 + 2] - min) / spread, true);
+    }
+    return bytes;
+};
+
+/**
+ * Mapbox's Terrain-RGB encoding for RGB heightmaps.
+ *
+ * Elevations are encoded in the red, green, and blue channels of each pixel as
+ * `-10000 + (R * 65536 + G * 256 + B) * 0.1` meters, giving 24 bits of
+ * precision in an ordinary 8-bit image. This is the format of Mapbox's
+ * terrain tiles and many offline tile caches.
+ *
+ * An encoding is an object with an `offset` and a `scale` such that an
+ * elevation is `offset + (R * 65536 + G * 256 + B) * scale`. Encodings can be
+ * passed to {@link THREE.Terrain.fromRGB}, {@link THREE.Terrain.toRGB},
+ * {@link THREE.Terrain.fromPNG}, and {@link THREE.Terrain.toPNG}.
+ */
+THREE.Terrain.TerrainRGB = {offset: -10000, scale: 0.1};
+
+/**
+ * The Terrarium encoding for RGB heightmaps.
+ *
+ * Elevations are encoded as `(R * 256 + G + B / 256) - 32768` meters. This is
+ * the format of Mapzen's terrain tiles, which are still available from the AWS
+ * open data registry. See {@link THREE.Terrain.TerrainRGB} for details about
+ * encodings.
+ */
+THREE.Terrain.Terrarium = {offset: -32768, scale: 1 / 256};
+
+/**
+ * Read an RGB heightmap, like a Terrain-RGB or Terrarium tile.
+ *
+ * @param {Object} image
+ *   The image. This can be an object like `ImageData`, with the `width` and
+ *   `height` of the image in pixels and the RGB or RGBA `data` of each pixel;
+ *   the contents of a PNG file (as an `ArrayBuffer`, a typed array, or a
+ *   Node.js `Buffer`); or in a browser, an image, canvas, or anything else
+ *   that can be drawn onto a canvas. Reading PNG files directly is more
+ *   reliable than drawing images, because browsers can adjust the colors of
+ *   images when drawing them.
+ * @param {Object} encoding
+ *   How elevations are encoded, e.g. {@link THREE.Terrain.TerrainRGB} or
+ *   {@link THREE.Terrain.Terrarium}.
+ *
+ * @return {Object}
+ *   A heightmap that can be used as `options.heightmap` for
+ *   {@link THREE.Terrain}(): an object with the `width` and `height` of the
+ *   image in pixels and a `Float32Array` of elevations in `data`.
+ */
+THREE.Terrain.fromRGB = function(image, encoding) {
+    if (image instanceof ArrayBuffer || ArrayBuffer.isView(image)) {
+        return THREE.Terrain.fromPNG(image, {encoding: encoding});
+    }
+    if (!image.data) {
+        var canvas = document.createElement('canvas'),
+            context = canvas.getContext('2d');
+        canvas.width = image.naturalWidth || image.width;
+        canvas.height = image.naturalHeight || image.height;
+        context.drawImage(image, 0, 0);
+        image = context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+    return decodeRGB(image, encoding);
+};
+
+/**
+ * Convert a terrain plane into an RGB heightmap, like a Terrain-RGB tile.
+ *
+ * @param {Float32Array} g
+ *   The vertex position array for the geometry to export.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}().
+ * @param {Object} encoding
+ *   How to encode elevations, e.g. {@link THREE.Terrain.TerrainRGB} or
+ *   {@link THREE.Terrain.Terrarium}. Elevations outside of the range the
+ *   encoding can represent are clamped.
+ *
+ * @return {Object}
+ *   An object like `ImageData`, with the `width` and `height` of the image in
+ *   pixels and the RGBA `data` of each pixel in a `Uint8ClampedArray`. Use
+ *   {@link THREE.Terrain.toPNG} with `params.encoding` to get a PNG file
+ *   instead.
+ */
+THREE.Terrain.toRGB = function(g, options, encoding) {
+    var count = (options.xSegments + 1) * (options.ySegments + 1),
+        data = new Uint8ClampedArray(count * 4);
+    for (var i = 0; i < count; i++) {
+        var v = encodeRGB(g[i * 3 + 2], encoding);
+        data[i * 4] = v >>> 16;
+        data[i * 4 + 1] = (v >>> 8) & 255;
+        data[i * 4 + 2] = v & 255;
+        data[i * 4 + 3] = 255;
+    }
+    return {width: options.xSegments + 1, height: options.ySegments + 1, data: data};
+};
+
+/**
+ * Read elevation data from an ESRI ASCII grid (`.asc`) file.
+ *
+ * The terrain's `xSegments`, `ySegments`, `xSize`, and `ySize` are set from
+ * the file's header so that each cell of the grid is a vertex of the terrain
+ * and distances are to scale, and `minHeight` and `maxHeight` are set to the
+ * range of elevations in the file. Cells with the `NODATA_value` are filled
+ * in from the cells around them, unless `params.noData` is set.
+ *
+ * Usage:
+ *
+ *     var options = {material: material};
+ *     options.heightmap = THREE.Terrain.fromASC(text, options);
+ *     scene.add(THREE.Terrain(options));
+ *
+ * @param {String} text
+ *   The contents of the file.
+ * @param {Object} options
+ *   The options that will be used to construct the terrain (see
+ *   {@link THREE.Terrain}()). Modified in place.
+ * @param {Object} [params]
+ *   Parameters for reading the file:
+ *   - `noData`: The elevation to use for cells without data. By default, gaps
+ *     are filled with the average elevation of the cells around them.
+ *   - `cellSize`: The distance between cells, in Three.js units. Defaults to
+ *     the cell size in the file.
+ *   - `degrees`: Whether the cell size in the file is in degrees of latitude
+ *     and longitude, in which case it is converted to meters. Defaults to
+ *     false.
+ *   - `latitude`: The latitude of the terrain in degrees, if `degrees` is set.
+ *     Defaults to the center of the grid according to the file's header.
+ *
+ * @return {Float32Array}
+ *   The elevation of each vertex, in rows from the top (north). This can be
+ *   used as `options.heightmap`.
+ */
+THREE.Terrain.fromASC = function(text, options, params) {
+    var pattern = /\S+/g,
+        header = {},
+        match;
+    params = params || {};
+    while ((match = pattern.exec(text)) && /^[a-z_]/i.test(match[0])) {
+        header[match[0].toLowerCase()] = parseFloat(pattern.exec(text)[0]);
+    }
+    var width = header.ncols,
+        height = header.nrows,
+        data = new Float32Array(width * height),
+        valid = new Uint8Array(width * height),
+        // Compare in single precision, since that's how the data is stored.
+        noData = Math.fround(header.nodata_value),
+        cellWidth = header.cellsize || header.dx,
+        cellHeight = header.cellsize || header.dy,
+        k = 0;
+    if (!width || !height || !cellWidth) throw new Error('Invalid ESRI ASCII grid header');
+    for (; match && k < data.length; match = pattern.exec(text), k++) {
+        data[k] = parseFloat(match[0]);
+        valid[k] = data[k] !== noData && !isNaN(data[k]) ? 1 : 0;
+    }
+    if (k < data.length) throw new Error('The ESRI ASCII grid has fewer cells than its header says');
+    if (params.degrees) {
+        var bottom = typeof header.yllcorner === 'number' ? header.yllcorner : header.yllcenter - cellHeight / 2,
+            scale = metersPerDegree(typeof params.latitude === 'number' ? params.latitude : bottom + height * cellHeight / 2);
+        cellWidth *= scale.x;
+        cellHeight *= scale.y;
+    }
+    return finishDEM(data, valid, width, height, cellWidth, cellHeight, options, params);
+};
+
+/**
+ * Read elevation data from an SRTM height (`.hgt`) file.
+ *
+ * SRTM files cover one degree of latitude and longitude, named after their
+ * southwest corner; for example `N45E006.hgt` covers 45-46°N and 6-7°E. They
+ * contain big-endian 16-bit elevations in meters with a resolution of 1 or 3
+ * arc-seconds (3601 or 1201 cells square). Voids (-32768) are filled in from
+ * the cells around them, unless `params.noData` is set.
+ *
+ * The terrain's `xSegments`, `ySegments`, `xSize`, `ySize`, `minHeight`, and
+ * `maxHeight` are set as described for {@link THREE.Terrain.fromASC}.
+ *
+ * @param {ArrayBuffer/ArrayBufferView} buffer
+ *   The contents of the file.
+ * @param {Object} options
+ *   The options that will be used to construct the terrain (see
+ *   {@link THREE.Terrain}()). Modified in place.
+ * @param {Object} [params]
+ *   Parameters for reading the file:
+ *   - `noData`: The elevation to use for voids. By default, voids are filled
+ *     with the average elevation of the cells around them.
+ *   - `cellSize`: The distance between cells, in Three.js units. By default,
+ *     this is calculated in meters from the resolution and latitude.
+ *   - `latitude`: The latitude of the center of the tile in degrees, used to
+ *     calculate the distance between cells. For example, for `N45E006.hgt`
+ *     use 45.5. Defaults to 0 (the equator).
+ *
+ * @return {Float32Array}
+ *   The elevation of each vertex, in rows from the top (north). This can be
+ *   used as `options.heightmap`.
+ */
+THREE.Terrain.fromHGT = function(buffer, options, params) {
+    var bytes = getBytes(buffer),
+        view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+        size = Math.round(Math.sqrt(bytes.length / 2)),
+        data = new Float32Array(size * size),
+        valid = new Uint8Array(size * size);
+    params = params || {};
+    if (size * size * 2 !== bytes.length || size < 2) throw new Error('Invalid SRTM file size');
+    for (var k = 0; k < data.length; k++) {
+        data[k] = view.getInt16(k * 2);
+        valid[k] = data[k] === -32768 ? 0 : 1;
+    }
+    var scale = metersPerDegree(params.latitude || 0);
+    return finishDEM(data, valid, size, size, scale.x / (size - 1), scale.y / (size - 1), options, params);
+};
+
+/**
+ * Read elevation data from a single-band GeoTIFF (`.tif`) file.
+ *
+ * Strips and tiles; uncompressed, LZW, Deflate, and PackBits compression;
+ * horizontal and floating-point predictors; and 8-, 16-, and 32-bit integer
+ * and 32- and 64-bit float samples are supported. BigTIFF files and images
+ * with more than one band are not.
+ *
+ * The distance between cells comes from the GeoTIFF's pixel scale. If the
+ * file uses a geographic coordinate system, the distance is converted from
+ * degrees to meters at the latitude of the image; otherwise it is used as-is.
+ * Cells with the GDAL no-data value, or `NaN`, are filled in from the cells
+ * around them, unless `params.noData` is set.
+ *
+ * The terrain's `xSegments`, `ySegments`, `xSize`, `ySize`, `minHeight`, and
+ * `maxHeight` are set as described for {@link THREE.Terrain.fromASC}.
+ *
+ * @param {ArrayBuffer/ArrayBufferView} buffer
+ *   The contents of the file.
+ * @param {Object} options
+ *   The options that will be used to construct the terrain (see
+ *   {@link THREE.Terrain}()). Modified in place.
+ * @param {Object} [params]
+ *   Parameters for reading the file:
+ *   - `noData`: The elevation to use for cells without data. By default, gaps
+ *     are filled with the average elevation of the cells around them.
+ *   - `cellSize`: The distance between cells, in Three.js units. Defaults to
+ *     the pixel scale in the file, or 1 if there isn't one.
+ *
+ * @return {Float32Array}
+ *   The elevation of each vertex, in rows from the top. This can be used as
+ *   `options.heightmap`.
+ */
+THREE.Terrain.fromGeoTIFF = function(buffer, options, params) {
+    var bytes = getBytes(buffer),
+        view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+        little = bytes[0] === 0x49;
+    if ((bytes[0] !== 0x49 && bytes[0] !== 0x4D) || bytes[1] !== bytes[0]) throw new Error('Not a TIFF file');
+    if (view.getUint16(2, little) === 43) throw new Error('BigTIFF files are not supported');
+    if (view.getUint16(2, little) !== 42) throw new Error('Not a TIFF file');
+
+    var tags = readTIFFTags(view, little),
+        first = function(tag, value) { return tags[tag] ? tags[tag][0] : value; },
+        width = first(256),
+        height = first(257),
+        bits = first(258, 1),
+        compression = first(259, 1),
+        predictor = first(317, 1),
+        format = first(339, 1),
+        tiled = !!tags[322],
+        chunkWidth = tiled ? first(322) : width,
+        chunkHeight = tiled ? first(323) : Math.min(first(278, height), height),
+        offsets = tiled ? tags[324] : tags[273],
+        counts = tiled ? tags[325] : tags[279],
+        across = Math.ceil(width / chunkWidth),
+        bps = bits / 8,
+        data = new Float32Array(width * height),
+        valid = new Uint8Array(width * height),
+        noData = typeof tags[42113] === 'string' ? Math.fround(parseFloat(tags[42113])) : NaN,
+        get;
+    if (first(277, 1) !== 1) throw new Error('Only single-band GeoTIFFs are supported');
+    if      (format === 3 && bits === 32) get = 'getFloat32'; // jscs:ignore requireSpaceAfterKeywords
+    else if (format === 3 && bits === 64) get = 'getFloat64';
+    else if (format !== 3 && (bits === 8 || bits === 16 || bits === 32)) {
+        get = (format === 2 ? 'getInt' : 'getUint') + bits;
+    }
+    else {
+        throw new Error('Unsupported GeoTIFF sample format');
+    }
+
+    for (var c = 0; c < offsets.length; c++) {
+        var cx = (c % across) * chunkWidth,
+            cy = Math.floor(c / across) * chunkHeight,
+            rows = tiled ? chunkHeight : Math.min(chunkHeight, height - cy),
+            rowBytes = chunkWidth * bps,
+            size = rowBytes * rows,
+            chunk = bytes.subarray(offsets[c], offsets[c] + counts[c]),
+            sampleLittle = little,
+            x,
+            y,
+            b;
+        if      (compression === 1) chunk = chunk.slice(0, size); // jscs:ignore requireSpaceAfterKeywords
+        else if (compression === 5) chunk = lzw(chunk, size);
+        else if (compression === 8 || compression === 32946) chunk = inflate(chunk, size);
+        else if (compression === 32773) chunk = packBits(chunk, size);
+        else throw new Error('Unsupported GeoTIFF compression: ' + compression);
+        var chunkView = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+        if (predictor === 2) {
+            // Horizontal differencing: each sample is stored as the difference
+            // from the one to its left.
+            var getUint = 'getUint' + bits,
+                setUint = 'setUint' + bits;
+            for (y = 0; y < rows; y++) {
+                for (x = 1; x < chunkWidth; x++) {
+                    var p = y * rowBytes + x * bps;
+                    chunkView[setUint](p, chunkView[getUint](p, little) + chunkView[getUint](p - bps, little), little);
+                }
+            }
+        }
+        else if (predictor === 3) {
+            // Floating point: bytes are differenced, then split into planes of
+            // the most to least significant byte of each sample in the row.
+            var row = new Uint8Array(rowBytes);
+            for (y = 0; y < rows; y++) {
+                var start = y * rowBytes;
+                for (x = 1; x < rowBytes; x++) {
+                    chunk[start + x] = (chunk[start + x] + chunk[start + x - 1]) & 255;
+                }
+                row.set(chunk.subarray(start, start + rowBytes));
+                for (x = 0; x < chunkWidth; x++) {
+                    for (b = 0; b < bps; b++) {
+                        chunk[start + x * bps + b] = row[b * chunkWidth + x];
+                    }
+                }
+            }
+            sampleLittle = false;
+        }
+        for (y = 0; y < rows && cy + y < height; y++) {
+            for (x = 0; x < chunkWidth && cx + x < width; x++) {
+                var k = (cy + y) * width + cx + x;
+                data[k] = chunkView[get](y * rowBytes + x * bps, sampleLittle);
+                valid[k] = data[k] !== noData && !isNaN(data[k]) ? 1 : 0;
+            }
+        }
+    }
+
+    var scale = tags[33550] || [1, 1],
+        cellWidth = scale[0],
+        cellHeight = scale[1];
+    if (tags[34735]) {
+        // GeoKeyDirectory: look up the model type (1 = projected, 2 = geographic).
+        var keys = tags[34735];
+        for (var i = 4; i < keys.length; i += 4) {
+            if (keys[i] === 1024 && keys[i + 3] === 2) {
+                var tiepoint = tags[33922] || [0, 0, 0, 0, 0, 0],
+                    meters = metersPerDegree(tiepoint[4] - (height / 2 - tiepoint[1]) * cellHeight);
+                cellWidth *= meters.x;
+                cellHeight *= meters.y;
+            }
+        }
+    }
+    return finishDEM(data, valid, width, height, cellWidth, cellHeight, options, params);
+};
+
+})();
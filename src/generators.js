@@ -21,6 +21,8 @@
  *     different frequencies and amplitudes results in nice detail.
  */
 THREE.Terrain.MultiPass = function(g, options, passes) {
+    // Make sure every pass draws from the same random sequence.
+    THREE.Terrain.getRandom(options);
     var clonedOptions = {};
     for (var opt in options) {
         if (options.hasOwnProperty(opt)) {
@@ -73,7 +75,7 @@ THREE.Terrain.Curve = function(g, options, curve) {
 THREE.Terrain.Cosine = function(g, options) {
     var amplitude = (options.maxHeight - options.minHeight) * 0.5,
         frequencyScalar = options.frequency * Math.PI / (Math.min(options.xSegments, options.ySegments) + 1),
-        phase = Math.random() * Math.PI * 2;
+        phase = THREE.Terrain.getRandom(options)() * Math.PI * 2;
     for (var i = 0, xl = options.xSegments + 1; i < xl; i++) {
         for (var j = 0, yl = options.ySegments + 1; j < yl; j++) {
             g[j * xl + i] += amplitude * (Math.cos(i * frequencyScalar + phase) + Math.cos(j * frequencyScalar + phase));
@@ -110,10 +112,11 @@ THREE.Terrain.CosineLayers = function(g, options) {
 THREE.Terrain.DiamondSquare = function(g, options) {
     // Set the segment length to the smallest power of 2 that is greater than
     // the number of vertices in either dimension of the plane
-    var segments = THREE.Math.ceilPowerOfTwo(Math.max(options.xSegments, options.ySegments) + 1);
+    var segments = THREE.MathUtils.ceilPowerOfTwo(Math.max(options.xSegments, options.ySegments) + 1);
 
     // Initialize heightmap
     var size = segments + 1,
+        random = THREE.Terrain.getRandom(options),
         heightmap = [],
         smoothing = (options.maxHeight - options.minHeight),
         i,
@@ -137,7 +140,7 @@ THREE.Terrain.DiamondSquare = function(g, options) {
         // square
         for (x = 0; x < segments; x += whole) {
             for (y = 0; y < segments; y += whole) {
-                d = Math.random() * smoothing * 2 - smoothing;
+                d = random() * smoothing * 2 - smoothing;
                 avg = heightmap[x][y] +            // top left
                       heightmap[x+whole][y] +      // top right
                       heightmap[x][y+whole] +      // bottom left
@@ -149,7 +152,7 @@ THREE.Terrain.DiamondSquare = function(g, options) {
         // diamond
         for (x = 0; x < segments; x += half) {
             for (y = (x+half) % l; y < segments; y += l) {
-                d = Math.random() * smoothing * 2 - smoothing;
+                d = random() * smoothing * 2 - smoothing;
                 avg = heightmap[(x-half+size)%size][y] + // middle left
                       heightmap[(x+half)%size][y] +      // middle right
                       heightmap[x][(y+half)%size] +      // middle top
@@ -188,12 +191,13 @@ THREE.Terrain.Fault = function(g, options) {
         iterations = d * options.frequency,
         range = (options.maxHeight - options.minHeight) * 0.5,
         displacement = range / iterations,
-        smoothDistance = Math.min(options.xSize / options.xSegments, options.ySize / options.ySegments) * options.frequency;
+        smoothDistance = Math.min(options.xSize / options.xSegments, options.ySize / options.ySegments) * options.frequency,
+        random = THREE.Terrain.getRandom(options);
     for (var k = 0; k < iterations; k++) {
-        var v = Math.random(),
+        var v = random(),
             a = Math.sin(v * Math.PI * 2),
             b = Math.cos(v * Math.PI * 2),
-            c = Math.random() * d - d*0.5;
+            c = random() * d - d*0.5;
         for (var i = 0, xl = options.xSegments + 1; i < xl; i++) {
             for (var j = 0, yl = options.ySegments + 1; j < yl; j++) {
                 var distance = a*i + b*j - c;
@@ -241,6 +245,8 @@ THREE.Terrain.Fault = function(g, options) {
  *   uniform random variables from 0 to 1, and returns a number from 0 to 1,
  *   typically by transforming it over a distribution. The result affects where
  *   small hills are raised thereby affecting the overall shape of the terrain.
+ *   The function also receives the random number generator in use as its
+ *   second parameter, so that it can be repeatable.
  */
 THREE.Terrain.Hill = function(g, options, feature, shape) {
     var frequency = options.frequency * 2,
@@ -250,19 +256,20 @@ THREE.Terrain.Hill = function(g, options, feature, shape) {
         maxHeight = heightRange / frequency,
         smallerSideLength = Math.min(options.xSize, options.ySize),
         minRadius = smallerSideLength / (frequency * frequency),
-        maxRadius = smallerSideLength / frequency;
+        maxRadius = smallerSideLength / frequency,
+        random = THREE.Terrain.getRandom(options);
     feature = feature || THREE.Terrain.Influences.Hill;
 
     var coords = { x: 0, y: 0 };
     for (var i = 0; i < numFeatures; i++) {
-        var radius = Math.random() * (maxRadius - minRadius) + minRadius,
-            height = Math.random() * (maxHeight - minHeight) + minHeight;
+        var radius = random() * (maxRadius - minRadius) + minRadius,
+            height = random() * (maxHeight - minHeight) + minHeight;
         var min = 0 - radius,
             maxX = options.xSize + radius,
             maxY = options.ySize + radius;
-        coords.x = Math.random();
-        coords.y = Math.random();
-        if (typeof shape === 'function') shape(coords);
+        coords.x = random();
+        coords.y = random();
+        if (typeof shape === 'function') shape(coords, random);
         THREE.Terrain.Influence(
             g, options,
             feature,
@@ -298,8 +305,8 @@ THREE.Terrain.Hill = function(g, options, feature, shape) {
  *   purpose.
  */
 THREE.Terrain.HillIsland = (function() {
-    var island = function(coords) {
-        var theta = Math.random() * Math.PI * 2;
+    var island = function(coords, random) {
+        var theta = random() * Math.PI * 2;
         coords.x = 0.5 + Math.cos(theta) * coords.x * 0.4;
         coords.y = 0.5 + Math.sin(theta) * coords.y * 0.4;
     };
@@ -312,11 +319,11 @@ THREE.Terrain.HillIsland = (function() {
     /**
      * Deposit a particle at a vertex.
      */
-    function deposit(g, i, j, xl, displacement) {
+    function deposit(g, i, j, xl, displacement, random) {
         var currentKey = j * xl + i;
         // Pick a random neighbor.
         for (var k = 0; k < 3; k++) {
-            var r = Math.floor(Math.random() * 8);
+            var r = Math.floor(random() * 8);
             switch (r) {
                 case 0: i++; break;
                 case 1: i--; break;
@@ -331,12 +338,12 @@ THREE.Terrain.HillIsland = (function() {
             // If the neighbor is lower, move the particle to that neighbor and re-evaluate.
             if (typeof g[neighborKey] !== 'undefined') {
                 if (g[neighborKey] < g[currentKey]) {
-                    deposit(g, i, j, xl, displacement);
+                    deposit(g, i, j, xl, displacement, random);
                     return;
                 }
             }
             // Deposit some particles on the edge.
-            else if (Math.random() < 0.2) {
+            else if (random() < 0.2) {
                 g[currentKey] += displacement;
                 return;
             }
@@ -360,23 +367,24 @@ THREE.Terrain.HillIsland = (function() {
      * Parameters are the same as those for {@link THREE.Terrain.DiamondSquare}.
      */
     THREE.Terrain.Particles = function(g, options) {
-        var iterations = Math.sqrt(options.xSegments*options.xSegments + options.ySegments*options.ySegments) * options.frequency * 300,
+        var random = THREE.Terrain.getRandom(options),
+            iterations = Math.sqrt(options.xSegments*options.xSegments + options.ySegments*options.ySegments) * options.frequency * 300,
             xl = options.xSegments + 1,
             displacement = (options.maxHeight - options.minHeight) / iterations * 1000,
-            i = Math.floor(Math.random() * options.xSegments),
-            j = Math.floor(Math.random() * options.ySegments),
-            xDeviation = Math.random() * 0.2 - 0.1,
-            yDeviation = Math.random() * 0.2 - 0.1;
+            i = Math.floor(random() * options.xSegments),
+            j = Math.floor(random() * options.ySegments),
+            xDeviation = random() * 0.2 - 0.1,
+            yDeviation = random() * 0.2 - 0.1;
         for (var k = 0; k < iterations; k++) {
-            deposit(g, i, j, xl, displacement);
-            var d = Math.random() * Math.PI * 2;
+            deposit(g, i, j, xl, displacement, random);
+            var d = random() * Math.PI * 2;
             if (k % 1000 === 0) {
-                xDeviation = Math.random() * 0.2 - 0.1;
-                yDeviation = Math.random() * 0.2 - 0.1;
+                xDeviation = random() * 0.2 - 0.1;
+                yDeviation = random() * 0.2 - 0.1;
             }
             if (k % 100 === 0) {
-                i = Math.floor(options.xSegments*(0.5+xDeviation) + Math.cos(d) * Math.random() * options.xSegments*(0.5-Math.abs(xDeviation)));
-                j = Math.floor(options.ySegments*(0.5+yDeviation) + Math.sin(d) * Math.random() * options.ySegments*(0.5-Math.abs(yDeviation)));
+                i = Math.floor(options.xSegments*(0.5+xDeviation) + Math.cos(d) * random() * options.xSegments*(0.5-Math.abs(xDeviation)));
+                j = Math.floor(options.ySegments*(0.5+yDeviation) + Math.sin(d) * random() * options.ySegments*(0.5-Math.abs(yDeviation)));
             }
         }
         // THREE.Terrain.Smooth(g, options, 3);
@@ -389,7 +397,7 @@ THREE.Terrain.HillIsland = (function() {
  * Parameters are the same as those for {@link THREE.Terrain.DiamondSquare}.
  */
 THREE.Terrain.Perlin = function(g, options) {
-    noise.seed(Math.random());
+    noise.seed(THREE.Terrain.getRandom(options)());
     var range = (options.maxHeight - options.minHeight) * 0.5,
         divisor = (Math.min(options.xSegments, options.ySegments) + 1) / options.frequency;
     for (var i = 0, xl = options.xSegments + 1; i < xl; i++) {
@@ -435,7 +443,7 @@ THREE.Terrain.PerlinLayers = function(g, options) {
  * for an interesting comparison where the generation happens in GLSL.
  */
 THREE.Terrain.Simplex = function(g, options) {
-    noise.seed(Math.random());
+    noise.seed(THREE.Terrain.getRandom(options)());
     var range = (options.maxHeight - options.minHeight) * 0.5,
         divisor = (Math.min(options.xSegments, options.ySegments) + 1) * 2 / options.frequency;
     for (var i = 0, xl = options.xSegments + 1; i < xl; i++) {
@@ -470,8 +478,9 @@ THREE.Terrain.SimplexLayers = function(g, options) {
      * @param {Number} segments The width of the target heightmap.
      * @param {Number} range The altitude of the noise.
      * @param {Number[]} data The target heightmap.
+     * @param {Function} random The random number generator to use.
      */
-    function WhiteNoise(g, options, scale, segments, range, data) {
+    function WhiteNoise(g, options, scale, segments, range, data, random) {
         if (scale > segments) return;
         var i = 0,
             j = 0,
@@ -485,7 +494,7 @@ THREE.Terrain.SimplexLayers = function(g, options) {
         for (i = 0; i <= xl; i += inc) {
             for (j = 0; j <= yl; j += inc) {
                 var k = j * xl + i;
-                data[k] = Math.random() * range;
+                data[k] = random() * range;
                 if (lastX < 0 && lastY < 0) continue;
                 // jscs:disable disallowSpacesInsideBrackets
                 /* c b *
@@ -537,7 +546,7 @@ THREE.Terrain.SimplexLayers = function(g, options) {
     THREE.Terrain.Value = function(g, options) {
         // Set the segment length to the smallest power of 2 that is greater
         // than the number of vertices in either dimension of the plane
-        var segments = THREE.Math.ceilPowerOfTwo(Math.max(options.xSegments, options.ySegments) + 1);
+        var segments = THREE.MathUtils.ceilPowerOfTwo(Math.max(options.xSegments, options.ySegments) + 1);
 
         // Store the array of white noise outside of the WhiteNoise function to
         // avoid allocating a bunch of unnecessary arrays; we can just
@@ -545,9 +554,10 @@ THREE.Terrain.SimplexLayers = function(g, options) {
         var data = new Float64Array((segments+1)*(segments+1));
 
         // Layer white noise at different resolutions.
-        var range = options.maxHeight - options.minHeight;
+        var range = options.maxHeight - options.minHeight,
+            random = THREE.Terrain.getRandom(options);
         for (var i = 2; i < 7; i++) {
-            WhiteNoise(g, options, Math.pow(2, i), segments, range * Math.pow(2, 2.4-i*1.2), data);
+            WhiteNoise(g, options, Math.pow(2, i), segments, range * Math.pow(2, 2.4-i*1.2), data, random);
         }
 
         // White noise creates some weird artifacts; fix them.
@@ -570,17 +580,18 @@ THREE.Terrain.SimplexLayers = function(g, options) {
  * Parameters are the same as those for {@link THREE.Terrain.DiamondSquare}.
  */
 THREE.Terrain.Weierstrass = function(g, options) {
-    var range = (options.maxHeight - options.minHeight) * 0.5,
-        dir1 = Math.random() < 0.5 ? 1 : -1,
-        dir2 = Math.random() < 0.5 ? 1 : -1,
-        r11  =  0.5   + Math.random() * 1.0,
-        r12  =  0.5   + Math.random() * 1.0,
-        r13  =  0.025 + Math.random() * 0.10,
-        r14  = -1.0   + Math.random() * 2.0,
-        r21  =  0.5   + Math.random() * 1.0,
-        r22  =  0.5   + Math.random() * 1.0,
-        r23  =  0.025 + Math.random() * 0.10,
-        r24  = -1.0   + Math.random() * 2.0;
+    var random = THREE.Terrain.getRandom(options),
+        range = (options.maxHeight - options.minHeight) * 0.5,
+        dir1 = random() < 0.5 ? 1 : -1,
+        dir2 = random() < 0.5 ? 1 : -1,
+        r11  =  0.5   + random() * 1.0,
+        r12  =  0.5   + random() * 1.0,
+        r13  =  0.025 + random() * 0.10,
+        r14  = -1.0   + random() * 2.0,
+        r21  =  0.5   + random() * 1.0,
+        r22  =  0.5   + random() * 1.0,
+        r23  =  0.025 + random() * 0.10,
+        r24  = -1.0   + random() * 2.0;
     for (var i = 0, xl = options.xSegments + 1; i < xl; i++) {
         for (var j = 0, yl = options.ySegments + 1; j < yl; j++) {
             var sum = 0;
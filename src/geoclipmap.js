@@ -0,0 +1,291 @@
+(function() {
+
+var cameraPosition = new THREE.Vector3(),
+    inverse = new THREE.Matrix4();
+
+/**
+ * Build the index buffer for one clipmap level.
+ *
+ * Every level has the same grid of vertices. All levels except the most
+ * detailed one leave out a hole where the next more detailed level is
+ * displayed. The hole can be offset by one cell in each direction depending on
+ * where the levels snap to the heightmap grid.
+ *
+ * @param {Number} n
+ *   The number of cells along each side of the level.
+ * @param {Boolean} hole
+ *   Whether to leave a hole in the middle of the level.
+ * @param {Number} ox
+ *   The offset of the hole along the x-axis, in cells.
+ * @param {Number} oy
+ *   The offset of the hole along the y-axis, in cells.
+ *
+ * @return {THREE.BufferAttribute}
+ *   The index buffer.
+ */
+function buildIndex(n, hole, ox, oy) {
+    var indices = [],
+        vl = n + 1,
+        q = n / 4;
+    for (var j = 0; j < n; j++) {
+        for (var i = 0; i < n; i++) {
+            if (hole && i >= q + ox && i < n - q + ox && j >= q + oy && j < n - q + oy) continue;
+            var a = j * vl + i,
+                b = (j + 1) * vl + i,
+                c = (j + 1) * vl + i + 1,
+                d = j * vl + i + 1;
+            // Same triangulation as THREE.PlaneGeometry.
+            indices.push(a, b, d, b, c, d);
+        }
+    }
+    return new THREE.BufferAttribute(vl * vl > 65535 ? new Uint32Array(indices) : new Uint16Array(indices), 1);
+}
+
+/**
+ * Get the heightmap that a clipmap samples from.
+ *
+ * @param {THREE.Mesh/Float32Array/THREE.DataTexture} source
+ *   The source of elevation data. See {@link THREE.Terrain.Geoclipmap}.
+ * @param {Object} options
+ *   The options passed to {@link THREE.Terrain.Geoclipmap}.
+ *
+ * @return {Object}
+ *   An object with the `width` and `height` of the data in vertices; a
+ *   `sampler()` function that returns a function which takes the index of a
+ *   vertex and returns its current elevation; and a `version()` function that
+ *   returns a number which changes when the source is marked as updated.
+ */
+function getHeightmap(source, options) {
+    if (source.isMesh) {
+        return {
+            width: source.geometry.parameters.widthSegments + 1,
+            height: source.geometry.parameters.heightSegments + 1,
+            sampler: function() {
+                // The mesh can change, so read its elevations directly.
+                var positions = source.geometry.attributes.position.array;
+                return function(k) {
+                    return positions[k * 3 + 2];
+                };
+            },
+            version: function() {
+                return source.geometry.attributes.position.version;
+            },
+        };
+    }
+    if (source.isDataTexture) {
+        var image = source.image,
+            stride = image.data.length / (image.width * image.height),
+            normalized = image.data instanceof Uint8Array || image.data instanceof Uint8ClampedArray,
+            spread = options.maxHeight - options.minHeight;
+        return {
+            width: image.width,
+            height: image.height,
+            sampler: function() {
+                // Use the first channel. 8-bit data spans the height range.
+                var data = image.data;
+                return normalized ? function(k) {
+                    return data[k * stride] / 255 * spread + options.minHeight;
+                } : function(k) {
+                    return data[k * stride];
+                };
+            },
+            version: function() {
+                return source.version;
+            },
+        };
+    }
+    return {
+        width: options.xSegments + 1,
+        height: options.ySegments + 1,
+        sampler: function() {
+            return function(k) {
+                return source[k];
+            };
+        },
+        version: function() {
+            return 0;
+        },
+    };
+}
+
+/**
+ * Display a terrain as nested rings that follow the camera.
+ *
+ * The terrain is composed of several square levels, each with the same number
+ * of vertices but twice the spacing of the previous one, so that detail
+ * decreases with distance from the camera. Each level except the most detailed
+ * one has a hole in the middle where the next more detailed level goes. Call
+ * the `update()` method of the returned object each frame to recenter the
+ * levels on the camera and sample their elevations from the heightmap. Since
+ * the rings can extend far beyond the heightmap, this is well suited to views
+ * of a distant horizon; outside of the heightmap, the elevation at its nearest
+ * edge is used.
+ *
+ * The levels snap to the heightmap's vertex grid as they move, so each vertex
+ * samples the heightmap exactly. Vertices on the outer edge of a level that
+ * the surrounding level doesn't have are placed on the surrounding level's
+ * edge so that there are no cracks.
+ *
+ * Usually this is set up by {@link THREE.Terrain}() when the `optimization`
+ * option is `THREE.Terrain.GEOCLIPMAP`, in which case `update()` is also
+ * available on the object that function returns.
+ *
+ * @param {THREE.Mesh/Float32Array/THREE.DataTexture} source
+ *   The elevation data to display. This can be a terrain mesh built from a
+ *   `THREE.PlaneGeometry` (such as the first child of the object returned by
+ *   {@link THREE.Terrain}()); a 1D array of elevations with
+ *   `(options.xSegments + 1) * (options.ySegments + 1)` values, like the ones
+ *   that generators and filters work with; or a `THREE.DataTexture`, whose
+ *   first channel is used (8-bit data is scaled to span `options.minHeight`
+ *   to `options.maxHeight`; other data is used as-is). Changes to a mesh or
+ *   texture are displayed after the next update once its `needsUpdate` flag
+ *   has been set (for a mesh, the flag of its position attribute). Changes to
+ *   an array are displayed after the next update once the `needsUpdate`
+ *   property of the returned object has been set to `true`.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}(). `xSize` and `ySize` are the size that the
+ *   heightmap covers. Additionally, the following properties are available:
+ *   - `clipmapLevels`: The number of levels. Defaults to 6.
+ *   - `clipmapSegments`: The number of segments along each side of each
+ *     level. Must be a multiple of 4 and at least 8. Defaults to 32.
+ *
+ * @return {THREE.Object3D}
+ *   An object containing the level meshes, with an `update(camera)` method and
+ *   a `needsUpdate` property.
+ *   It should be rotated the same way as a terrain returned by
+ *   {@link THREE.Terrain}() (this is done automatically if it is added to
+ *   that object).
+ */
+THREE.Terrain.Geoclipmap = function(source, options) {
+    var n = options.clipmapSegments || 32,
+        levels = options.clipmapLevels || 6,
+        heightmap = getHeightmap(source, options),
+        xl = heightmap.width,
+        yl = heightmap.height,
+        dx = options.xSize / (xl - 1),
+        dy = options.ySize / (yl - 1),
+        vl = n + 1,
+        indices = {},
+        clipmap = new THREE.Object3D(),
+        material = source.isMesh ? source.material : options.material,
+        // The center of each level and the version of the source as of the
+        // last update, to skip levels that haven't changed.
+        centersI = [],
+        centersJ = [],
+        lastVersion = -1,
+        i, j;
+    if (n % 4 || n < 8) {
+        throw new Error('clipmapSegments must be a multiple of 4 and at least 8');
+    }
+
+    for (var level = 0; level < levels; level++) {
+        var geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vl * vl * 3), 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(vl * vl * 2), 2));
+        clipmap.add(new THREE.Mesh(geometry, material));
+    }
+
+    /**
+     * Whether the elevations of every level need to be resampled on the next
+     * update, even where the level hasn't moved. Set this after changing an
+     * array source.
+     */
+    clipmap.needsUpdate = true;
+
+    /**
+     * Recenter the levels on the camera and update their elevations.
+     *
+     * Levels that haven't moved since the last update are skipped unless the
+     * source has changed.
+     *
+     * @param {THREE.Camera} camera
+     *   The camera used to render the terrain.
+     */
+    clipmap.update = function(camera) {
+        var version = heightmap.version(),
+            dirty = clipmap.needsUpdate || version !== lastVersion,
+            z = heightmap.sampler(),
+            lastCenterI = 0,
+            lastCenterJ = 0;
+        clipmap.needsUpdate = false;
+        lastVersion = version;
+
+        // Find the camera's location in heightmap vertices.
+        clipmap.updateWorldMatrix(true, false);
+        camera.getWorldPosition(cameraPosition);
+        cameraPosition.applyMatrix4(inverse.copy(clipmap.matrixWorld).invert());
+        var ci = (cameraPosition.x + options.xSize * 0.5) / dx,
+            cj = (options.ySize * 0.5 - cameraPosition.y) / dy;
+
+        for (var level = 0; level < levels; level++) {
+            var mesh = clipmap.children[level],
+                positions = mesh.geometry.attributes.position.array,
+                uvs = mesh.geometry.attributes.uv.array,
+                step = 1 << level,
+                // Snap to a grid twice as coarse as this level so that the
+                // next level can snap to its own grid around this one.
+                centerI = Math.round(ci / (step * 2)) * step * 2,
+                centerJ = Math.round(cj / (step * 2)) * step * 2,
+                startI = centerI - n * 0.5 * step,
+                startJ = centerJ - n * 0.5 * step;
+
+            // Leave a hole for the previous level.
+            var ox = level ? (lastCenterI - centerI) / step : 0,
+                oy = level ? (lastCenterJ - centerJ) / step : 0,
+                key = level ? ox + ',' + oy : 'full';
+            if (!indices[key]) {
+                indices[key] = buildIndex(n, level > 0, ox, oy);
+            }
+            if (mesh.geometry.index !== indices[key]) {
+                mesh.geometry.setIndex(indices[key]);
+            }
+            lastCenterI = centerI;
+            lastCenterJ = centerJ;
+
+            if (!dirty && centersI[level] === centerI && centersJ[level] === centerJ) continue;
+            centersI[level] = centerI;
+            centersJ[level] = centerJ;
+
+            for (j = 0; j < vl; j++) {
+                for (i = 0; i < vl; i++) {
+                    var gi = startI + i * step,
+                        gj = startJ + j * step,
+                        k = j * vl + i;
+                    positions[k * 3] = gi * dx - options.xSize * 0.5;
+                    positions[k * 3 + 1] = options.ySize * 0.5 - gj * dy;
+                    positions[k * 3 + 2] = z(
+                        Math.min(Math.max(gj, 0), yl - 1) * xl +
+                        Math.min(Math.max(gi, 0), xl - 1)
+                    );
+                    uvs[k * 2] = gi / (xl - 1);
+                    uvs[k * 2 + 1] = 1 - gj / (yl - 1);
+                }
+            }
+
+            // Put the odd vertices along the edge on the straight line
+            // between their neighbors to match the edge of the next level.
+            for (var e = 1; e < n; e += 2) {
+                var top = e,
+                    bottom = n * vl + e,
+                    left = e * vl,
+                    right = e * vl + n;
+                positions[top * 3 + 2] = (positions[(top - 1) * 3 + 2] + positions[(top + 1) * 3 + 2]) * 0.5;
+                positions[bottom * 3 + 2] = (positions[(bottom - 1) * 3 + 2] + positions[(bottom + 1) * 3 + 2]) * 0.5;
+                positions[left * 3 + 2] = (positions[(left - vl) * 3 + 2] + positions[(left + vl) * 3 + 2]) * 0.5;
+                positions[right * 3 + 2] = (positions[(right - vl) * 3 + 2] + positions[(right + vl) * 3 + 2]) * 0.5;
+            }
+
+            mesh.geometry.attributes.position.needsUpdate = true;
+            mesh.geometry.attributes.uv.needsUpdate = true;
+            mesh.geometry.computeBoundingSphere();
+            mesh.geometry.computeVertexNormals();
+        }
+    };
+
+    clipmap.update(new THREE.Object3D());
+    return clipmap;
+};
+
+})();
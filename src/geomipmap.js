@@ -0,0 +1,233 @@
+(function() {
+
+var cameraPosition = new THREE.Vector3(),
+    tileCenter = new THREE.Vector3();
+
+/**
+ * Move a vertex on a tile edge onto the grid of a coarser neighbor.
+ *
+ * @param {Number} v
+ *   The vertex offset along the edge.
+ * @param {Number} step
+ *   The distance between vertices on the neighbor's edge.
+ *
+ * @return {Number}
+ *   The offset of the closest vertex on the neighbor's edge.
+ */
+function snap(v, step) {
+    return Math.round(v / step) * step;
+}
+
+/**
+ * Build the index buffer for one tile at one level of detail.
+ *
+ * Cracks between this tile and coarser neighbors are stitched by moving the
+ * vertices on the shared edge that the neighbor doesn't have onto the closest
+ * vertex that it does have. The resulting triangles along that edge either
+ * collapse (and are dropped) or fan out to match the neighbor's edge exactly.
+ *
+ * @param {Object} tile
+ *   The tile's `userData`, describing its position in the vertex grid.
+ * @param {Number} step
+ *   The distance between vertices used at this level of detail.
+ * @param {Number[]} edges
+ *   The distance between vertices to use on the north, south, west, and east
+ *   edges of the tile, respectively.
+ * @param {Boolean} large
+ *   Whether the terrain has too many vertices for 16-bit indices.
+ *
+ * @return {THREE.BufferAttribute}
+ *   The index buffer.
+ */
+function buildIndex(tile, step, edges, large) {
+    var n = tile.segments,
+        indices = [],
+        i, j;
+    function key(li, lj) {
+        if (lj === 0 && edges[0] > step) li = snap(li, edges[0]);
+        else if (lj === n && edges[1] > step) li = snap(li, edges[1]);
+        if (li === 0 && edges[2] > step) lj = snap(lj, edges[2]);
+        else if (li === n && edges[3] > step) lj = snap(lj, edges[3]);
+        return (tile.y + lj) * tile.xl + tile.x + li;
+    }
+    // Skip triangles that collapsed into an edge. (Triangles whose vertices
+    // are in a line on the grid are kept because they fill in cracks.)
+    function triangle(a, b, c) {
+        if (a !== b && b !== c && a !== c) indices.push(a, b, c);
+    }
+    for (j = 0; j < n; j += step) {
+        for (i = 0; i < n; i += step) {
+            var a = key(i, j),
+                b = key(i, j + step),
+                c = key(i + step, j + step),
+                d = key(i + step, j);
+            // Same triangulation as THREE.PlaneGeometry.
+            triangle(a, b, d);
+            triangle(b, c, d);
+        }
+    }
+    return new THREE.BufferAttribute(large ? new Uint32Array(indices) : new Uint16Array(indices), 1);
+}
+
+/**
+ * Compute the bounds of each tile from the terrain's vertex positions.
+ *
+ * @param {THREE.Mesh[]} tiles
+ *   The tile meshes.
+ * @param {Float32Array} positions
+ *   The vertex positions of the full-detail terrain.
+ */
+function computeBounds(tiles, positions) {
+    for (var t = 0, l = tiles.length; t < l; t++) {
+        var tile = tiles[t].userData,
+            box = tiles[t].geometry.boundingBox || new THREE.Box3();
+        box.makeEmpty();
+        for (var j = tile.y, yl = tile.y + tile.segments; j <= yl; j++) {
+            for (var i = tile.x, xl = tile.x + tile.segments; i <= xl; i++) {
+                var k = (j * tile.xl + i) * 3;
+                tileCenter.set(positions[k], positions[k+1], positions[k+2]);
+                box.expandByPoint(tileCenter);
+            }
+        }
+        tiles[t].geometry.boundingBox = box;
+        tiles[t].geometry.boundingSphere = box.getBoundingSphere(
+            tiles[t].geometry.boundingSphere || new THREE.Sphere()
+        );
+    }
+}
+
+/**
+ * Split a terrain into sections with multiple levels of detail.
+ *
+ * The terrain is divided into square tiles with about sqrt(segments) segments
+ * along each side. Each tile can be drawn at a level of detail that skips
+ * every 2^level vertices, down to a single quad. Call the `update()` method of
+ * the returned object each frame to choose a level of detail for each tile
+ * depending on its distance from the camera. Edges shared with a less detailed
+ * neighbor are stitched to it so that there are no cracks.
+ *
+ * The tiles share the vertex data of the full-detail mesh, so changes to that
+ * mesh (e.g. by a filter followed by {@link THREE.Terrain.Normalize}) are
+ * displayed by the tiles too.
+ *
+ * Usually this is set up by {@link THREE.Terrain}() when the `optimization`
+ * option is `THREE.Terrain.GEOMIPMAP`, in which case `update()` is also
+ * available on the object that function returns.
+ *
+ * @param {THREE.Mesh} mesh
+ *   The full-detail terrain mesh, built from a `THREE.PlaneGeometry`.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}(). `xSegments` and `ySegments` should both be
+ *   multiples of a power of two close to their square root (1024 works well).
+ *   Additionally, the `lodDistance` property is the distance from the camera
+ *   at which tiles are no longer displayed at full detail; the level of detail
+ *   decreases by one each time the distance doubles. Defaults to twice the
+ *   width of a tile.
+ *
+ * @return {THREE.Object3D}
+ *   An object containing the tile meshes, with an `update(camera)` method, or
+ *   `null` if the terrain can't be split into tiles.
+ */
+THREE.Terrain.Geomipmap = function(mesh, options) {
+    var xSegments = mesh.geometry.parameters.widthSegments,
+        ySegments = mesh.geometry.parameters.heightSegments,
+        segments = Math.pow(2, Math.round(Math.log(Math.sqrt(Math.max(xSegments, ySegments))) / Math.LN2));
+    while (segments > 1 && (xSegments % segments || ySegments % segments)) {
+        segments *= 0.5;
+    }
+    if (segments < 2) {
+        console.warn(
+            'THREE.Terrain.GEOMIPMAP requires xSegments and ySegments to be multiples of a power of two. ' +
+            'The terrain will be displayed without optimization.'
+        );
+        return null;
+    }
+
+    var geometry = mesh.geometry,
+        xl = xSegments + 1,
+        xTiles = xSegments / segments,
+        yTiles = ySegments / segments,
+        maxLevel = Math.round(Math.log(segments) / Math.LN2),
+        large = geometry.attributes.position.count > 65535,
+        lodDistance = options.lodDistance || segments * (geometry.parameters.width / xSegments) * 2,
+        lod = new THREE.Object3D(),
+        tiles = new Array(xTiles * yTiles),
+        levels = new Int8Array(tiles.length),
+        positionVersion = geometry.attributes.position.version;
+
+    for (var ty = 0; ty < yTiles; ty++) {
+        for (var tx = 0; tx < xTiles; tx++) {
+            var tileGeometry = new THREE.BufferGeometry();
+            for (var name in geometry.attributes) {
+                if (geometry.attributes.hasOwnProperty(name)) {
+                    tileGeometry.setAttribute(name, geometry.attributes[name]);
+                }
+            }
+            var tile = new THREE.Mesh(tileGeometry, mesh.material);
+            tile.userData = {
+                x: tx * segments,
+                y: ty * segments,
+                xl: xl,
+                segments: segments,
+                indices: {},
+            };
+            tiles[ty * xTiles + tx] = tile;
+            lod.add(tile);
+        }
+    }
+    computeBounds(tiles, geometry.attributes.position.array);
+
+    /**
+     * Set the index buffer of each tile to match its level of detail.
+     */
+    function stitch() {
+        for (var t = 0, l = tiles.length; t < l; t++) {
+            var x = t % xTiles,
+                y = (t - x) / xTiles,
+                tile = tiles[t].userData,
+                level = levels[t],
+                edges = [
+                    1 << Math.max(level, y > 0          ? levels[t - xTiles] : 0), // north
+                    1 << Math.max(level, y < yTiles - 1 ? levels[t + xTiles] : 0), // south
+                    1 << Math.max(level, x > 0          ? levels[t - 1]      : 0), // west
+                    1 << Math.max(level, x < xTiles - 1 ? levels[t + 1]      : 0), // east
+                ],
+                key = level + ',' + edges.join(',');
+            if (!tile.indices[key]) {
+                tile.indices[key] = buildIndex(tile, 1 << level, edges, large);
+            }
+            if (tiles[t].geometry.index !== tile.indices[key]) {
+                tiles[t].geometry.setIndex(tile.indices[key]);
+            }
+        }
+    }
+
+    /**
+     * Choose the level of detail for each tile and stitch the tiles together.
+     *
+     * @param {THREE.Camera} camera
+     *   The camera used to render the terrain.
+     */
+    lod.update = function(camera) {
+        if (geometry.attributes.position.version !== positionVersion) {
+            positionVersion = geometry.attributes.position.version;
+            computeBounds(tiles, geometry.attributes.position.array);
+        }
+        lod.updateWorldMatrix(true, false);
+        camera.getWorldPosition(cameraPosition);
+        for (var t = 0, l = tiles.length; t < l; t++) {
+            tileCenter.copy(tiles[t].geometry.boundingSphere.center).applyMatrix4(lod.matrixWorld);
+            var d = tileCenter.distanceTo(cameraPosition);
+            levels[t] = d <= lodDistance ? 0 : Math.min(maxLevel, Math.floor(Math.log(d / lodDistance) / Math.LN2) + 1);
+        }
+        stitch();
+    };
+
+    // Display everything at full detail until the first update.
+    stitch();
+    return lod;
+};
+
+})();
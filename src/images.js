@@ -1,6 +1,74 @@
+(function() {
+
+/**
+ * Get the elevations from a raw heightmap, resampled to the terrain's size.
+ *
+ * @param {Object} heightmap
+ *   An object with the `width` and `height` of the heightmap in pixels and a
+ *   typed array of pixel `data`, in rows from the top. The data can have one
+ *   value per pixel, two (gray and alpha), three (RGB), or four (RGBA). RGB
+ *   values are averaged and alpha is ignored.
+ * @param {Number} cols
+ *   The number of vertices along the x-axis of the terrain.
+ * @param {Number} rows
+ *   The number of vertices along the y-axis of the terrain.
+ * @param {Float32Array} g
+ *   The array in which to store the value at each vertex.
+ */
+function resample(heightmap, cols, rows, g) {
+    var width = heightmap.width,
+        height = heightmap.height,
+        data = heightmap.data,
+        channels = Math.round(data.length / (width * height)),
+        colors = channels >= 3 ? 3 : 1;
+    function value(x, y) {
+        var idx = (y * width + x) * channels,
+            sum = 0;
+        for (var c = 0; c < colors; c++) {
+            sum += data[idx + c];
+        }
+        return sum / colors;
+    }
+    // Interpolate between pixels, like drawing an image onto a canvas.
+    for (var row = 0; row < rows; row++) {
+        for (var col = 0; col < cols; col++) {
+            var x = cols > 1 ? col / (cols - 1) * (width - 1) : 0,
+                y = rows > 1 ? row / (rows - 1) * (height - 1) : 0,
+                x0 = Math.floor(x),
+                y0 = Math.floor(y),
+                x1 = Math.min(x0 + 1, width - 1),
+                y1 = Math.min(y0 + 1, height - 1),
+                u = x - x0,
+                v = y - y0;
+            g[row * cols + col] =
+                (value(x0, y0) * (1 - u) + value(x1, y0) * u) * (1 - v) +
+                (value(x0, y1) * (1 - u) + value(x1, y1) * u) * v;
+        }
+    }
+}
+
 /**
  * Convert an image-based heightmap into vertex-based height data.
  *
+ * `options.heightmap` can be any of the following:
+ *
+ * - An image, canvas, or anything else that can be drawn onto a canvas. This
+ *   requires a browser (or another environment with `document.createElement`).
+ *   The RGB channels of each pixel are averaged.
+ * - An object like `ImageData`, with the `width` and `height` of the heightmap
+ *   in pixels and a typed array of pixel `data` with one, three, or four
+ *   channels per pixel. This works anywhere, including in Node.js.
+ * - A typed array with one value for each vertex of the terrain.
+ *
+ * 8-bit data (a `Uint8Array` or `Uint8ClampedArray`) is scaled so that 0 is
+ * `options.minHeight` and 255 is `options.maxHeight`, like images, and 16-bit
+ * data (a `Uint16Array`) is scaled the same way from 0 to 65535; other data
+ * (for example a `Float32Array`) is used as elevations as-is. Heightmaps with
+ * a different size than the terrain are stretched to fit. See
+ * {@link THREE.Terrain.fromPNG}, {@link THREE.Terrain.fromR16}, and
+ * {@link THREE.Terrain.fromR32} to read heightmaps with more than 256 levels
+ * of elevation.
+ *
  * @param {Float32Array} g
  *   The geometry's z-positions to modify with heightmap data.
  * @param {Object} options
@@ -9,30 +77,37 @@
  *   of {@link THREE.Terrain}().
  */
 THREE.Terrain.fromHeightmap = function(g, options) {
-    var canvas = document.createElement('canvas'),
-        context = canvas.getContext('2d'),
+    var heightmap = options.heightmap,
         rows = options.ySegments + 1,
         cols = options.xSegments + 1,
-        spread = options.maxHeight - options.minHeight;
-    canvas.width = cols;
-    canvas.height = rows;
-    context.drawImage(options.heightmap, 0, 0, canvas.width, canvas.height);
-    var data = context.getImageData(0, 0, canvas.width, canvas.height).data;
-    for (var row = 0; row < rows; row++) {
-        for (var col = 0; col < cols; col++) {
-            var i = row * cols + col,
-                idx = i * 4;
-            g[i] = (data[idx] + data[idx+1] + data[idx+2]) / 765 * spread + options.minHeight;
+        spread = options.maxHeight - options.minHeight,
+        depth;
+    if (ArrayBuffer.isView(heightmap)) {
+        heightmap = {width: cols, height: rows, data: heightmap};
+    }
+    else if (!heightmap.data) {
+        var canvas = document.createElement('canvas'),
+            context = canvas.getContext('2d');
+        canvas.width = cols;
+        canvas.height = rows;
+        context.drawImage(heightmap, 0, 0, canvas.width, canvas.height);
+        heightmap = context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+    resample(heightmap, cols, rows, g);
+    if (heightmap.data instanceof Uint8Array || heightmap.data instanceof Uint8ClampedArray) depth = 255;
+    else if (heightmap.data instanceof Uint16Array) depth = 65535;
+    if (depth) {
+        for (var i = 0, l = rows * cols; i < l; i++) {
+            g[i] = g[i] / depth * spread + options.minHeight;
         }
     }
 };
 
 /**
- * Convert a terrain plane into an image-based heightmap.
+ * Convert a terrain plane into grayscale image data.
  *
- * Parameters are the same as for {@link THREE.Terrain.fromHeightmap} except
- * that if `options.heightmap` is a canvas element then the image will be
- * painted onto that canvas; otherwise a new canvas will be created.
+ * This is the same as {@link THREE.Terrain.toHeightmap} except that it
+ * doesn't need a canvas, so it works anywhere, including in Node.js.
  *
  * @param {Float32Array} g
  *   The vertex position array for the geometry to paint to a heightmap.
@@ -41,10 +116,11 @@ THREE.Terrain.fromHeightmap = function(g, options) {
  *   displayed. Valid values are the same as those for the `options` parameter
  *   of {@link THREE.Terrain}().
  *
- * @return {HTMLCanvasElement}
- *   A canvas with the relevant heightmap painted on it.
+ * @return {Object}
+ *   An object like `ImageData`, with the `width` and `height` of the image in
+ *   pixels and the RGBA `data` of each pixel in a `Uint8ClampedArray`.
  */
-THREE.Terrain.toHeightmap = function(g, options) {
+THREE.Terrain.toImageData = function(g, options) {
     var hasMax = typeof options.maxHeight !== 'undefined',
         hasMin = typeof options.minHeight !== 'undefined',
         max = hasMax ? options.maxHeight : -Infinity,
@@ -59,15 +135,10 @@ THREE.Terrain.toHeightmap = function(g, options) {
         if (!hasMax) max = max2;
         if (!hasMin) min = min2;
     }
-    var canvas = options.heightmap instanceof HTMLCanvasElement ? options.heightmap : document.createElement('canvas'),
-        context = canvas.getContext('2d'),
-        rows = options.ySegments + 1,
+    var rows = options.ySegments + 1,
         cols = options.xSegments + 1,
-        spread = max - min;
-    canvas.width = cols;
-    canvas.height = rows;
-    var d = context.createImageData(canvas.width, canvas.height),
-        data = d.data;
+        spread = max - min,
+        data = new Uint8ClampedArray(rows * cols * 4);
     for (var row = 0; row < rows; row++) {
         for (var col = 0; col < cols; col++) {
             var i = row * cols + col,
@@ -76,6 +147,43 @@ THREE.Terrain.toHeightmap = function(g, options) {
             data[idx+3] = 255;
         }
     }
+    return {width: cols, height: rows, data: data};
+};
+
+/**
+ * Convert a terrain plane into an image-based heightmap.
+ *
+ * Parameters are the same as for {@link THREE.Terrain.fromHeightmap} except
+ * that if `options.heightmap` is a canvas element then the image will be
+ * painted onto that canvas; otherwise a new canvas will be created. Outside of
+ * a browser (where there is no `document` to create a canvas with), this
+ * returns the same result as {@link THREE.Terrain.toImageData} instead.
+ *
+ * @param {Float32Array} g
+ *   The vertex position array for the geometry to paint to a heightmap.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}().
+ *
+ * @return {HTMLCanvasElement/Object}
+ *   A canvas with the relevant heightmap painted on it, or outside of a
+ *   browser, an object like `ImageData`.
+ */
+THREE.Terrain.toHeightmap = function(g, options) {
+    var image = THREE.Terrain.toImageData(g, options),
+        hasCanvas = options.heightmap && typeof options.heightmap.getContext === 'function';
+    if (!hasCanvas && typeof document === 'undefined') {
+        return image;
+    }
+    var canvas = hasCanvas ? options.heightmap : document.createElement('canvas'),
+        context = canvas.getContext('2d');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    var d = context.createImageData(canvas.width, canvas.height);
+    d.data.set(image.data);
     context.putImageData(d, 0, 0);
     return canvas;
 };
+
+})();
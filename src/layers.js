@@ -0,0 +1,194 @@
+(function() {
+
+/**
+ * Get the blending weight of a layer at each vertex.
+ *
+ * @param {Object} layer
+ *   The layer. See {@link THREE.Terrain.LayerStack}.
+ * @param {Object} options
+ *   The options used to construct the terrain.
+ *
+ * @return {Float32Array}
+ *   The layer's opacity multiplied by its mask at each vertex.
+ */
+function getWeights(layer, options) {
+    var xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        opacity = typeof layer.opacity === 'number' ? layer.opacity : 1,
+        weights = new Float32Array(xl * yl).fill(opacity);
+    if (typeof layer.mask === 'function') {
+        for (var j = 0; j < yl; j++) {
+            for (var i = 0; i < xl; i++) {
+                weights[j * xl + i] *= layer.mask(i / (xl - 1), j / (yl - 1));
+            }
+        }
+    }
+    else if (layer.mask) {
+        for (var k = 0; k < weights.length; k++) {
+            weights[k] *= layer.mask[k];
+        }
+    }
+    return weights;
+}
+
+/**
+ * Build a terrain from an editable list of layers.
+ *
+ * Each layer runs a generator, filter, or influence and blends the result into
+ * the layers below it. The layers are kept in the `layers` array of the
+ * returned object, so they can be changed, reordered, disabled, or removed at
+ * any time; call `evaluate()` or `apply()` afterwards to rebuild the heightmap
+ * from scratch. This makes it possible to adjust an early pass without
+ * rebuilding everything that comes after it by hand.
+ *
+ * Each layer is an object with the following properties:
+ *
+ * - `method`: The function to run, with the signature of a generator or
+ *   filter: it takes the heightmap as a 1D array of elevations, the terrain
+ *   options, and any `args`. For example `THREE.Terrain.Perlin`,
+ *   `THREE.Terrain.Smooth`, or `THREE.Terrain.Influence`.
+ * - `args`: An array of additional arguments to pass to `method` after the
+ *   heightmap and options. For example, for `THREE.Terrain.Influence` this is
+ *   the feature, location, radius, and so on.
+ * - `options`: Options that override the stack's options for this layer, like
+ *   `frequency` or `maxHeight` and `minHeight`.
+ * - `blending`: How to combine the layer with the layers below it. Valid
+ *   values are the same as for the `t` parameter of
+ *   {@link THREE.Terrain.Influence}:
+ *   - `THREE.NormalBlending` (the default): `method` runs on a copy of the
+ *     heightmap so far, and the result replaces it. Generators add to the
+ *     heightmap and filters modify it, just like passing them to
+ *     {@link THREE.Terrain.MultiPass} or calling them in `options.after`.
+ *   - `THREE.AdditiveBlending`, `THREE.SubtractiveBlending`, or
+ *     `THREE.MultiplyBlending`: `method` runs on a flat heightmap, and the
+ *     result is added to, subtracted from, or multiplied with the heightmap
+ *     so far.
+ *   - `THREE.NoBlending`: `method` runs on a flat heightmap, and the result
+ *     replaces the heightmap so far.
+ *   - A function: `method` runs on a flat heightmap. The function takes the
+ *     elevation of a vertex so far, the layer's elevation there, and the index
+ *     of the vertex, and returns the new elevation.
+ * - `opacity`: How much of the layer to use, from 0 (none) to 1 (all of it).
+ *   Defaults to 1.
+ * - `mask`: Where to use the layer. This can be an array with a value between
+ *   0 and 1 for each vertex, or a function that takes the x- and y-location
+ *   of a vertex as percentages (as a decimal) of the size of the terrain on
+ *   each axis and returns a value between 0 and 1. The mask is multiplied by
+ *   `opacity`.
+ * - `enabled`: Set this to `false` to skip the layer. Defaults to `true`.
+ * - `seed`: The seed for the layer's random number generator. Each layer has
+ *   its own, so changing one layer doesn't change the randomness of the
+ *   others. Assigned by `add()` if not set.
+ *
+ * Usage:
+ *
+ *     var options = {xSegments: 127, ySegments: 127, seed: 42};
+ *     var stack = THREE.Terrain.LayerStack(options, [
+ *         {method: THREE.Terrain.Perlin},
+ *         {method: THREE.Terrain.Simplex, options: {frequency: 8}, opacity: 0.2},
+ *         {method: THREE.Terrain.Smooth, args: [0.5], mask: function(x, y) {
+ *             return x < 0.5 ? 1 : 0;
+ *         }},
+ *     ]);
+ *     options.heightmap = stack.evaluate;
+ *     var terrainScene = THREE.Terrain(options);
+ *     // Later...
+ *     stack.layers[1].opacity = 0.4;
+ *     stack.apply(terrainScene);
+ *
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}(). Layers use these options unless they override
+ *   them. Changes to the object are used the next time the stack is
+ *   evaluated.
+ * @param {Object[]} [layers]
+ *   The initial layers, from the bottom up.
+ *
+ * @return {Object}
+ *   An object with the following properties:
+ *   - `options`: The `options` parameter.
+ *   - `layers`: The array of layers, from the bottom up.
+ *   - `add(layer, [index])`: Add a layer at the top of the stack (or at
+ *     `index`), and return it.
+ *   - `remove(layer)`: Remove a layer from the stack.
+ *   - `evaluate([g])`: Build the heightmap from the layers. If `g` is given,
+ *     the heightmap is written into it (so this can be used as
+ *     `options.heightmap`); otherwise a new array is created. Returns the
+ *     heightmap.
+ *   - `apply(terrain)`: Rebuild the heightmap and write it into a terrain
+ *     (the return value of a call to {@link THREE.Terrain}() or the terrain
+ *     mesh itself), then call {@link THREE.Terrain.Normalize} on it.
+ */
+THREE.Terrain.LayerStack = function(options, layers) {
+    var stack = {
+        options: options,
+        layers: [],
+    };
+
+    stack.add = function(layer, index) {
+        if (typeof layer.seed === 'undefined') {
+            layer.seed = Math.floor(THREE.Terrain.getRandom(options)() * 4294967296);
+        }
+        stack.layers.splice(typeof index === 'number' ? index : stack.layers.length, 0, layer);
+        return layer;
+    };
+
+    stack.remove = function(layer) {
+        var index = stack.layers.indexOf(layer);
+        if (index !== -1) stack.layers.splice(index, 1);
+    };
+
+    stack.evaluate = function(g) {
+        var vertices = (options.xSegments + 1) * (options.ySegments + 1),
+            k;
+        g = g || new Float32Array(vertices);
+        g.fill(0);
+        for (var l = 0; l < stack.layers.length; l++) {
+            var layer = stack.layers[l];
+            if (layer.enabled === false) continue;
+
+            // Give each layer its own options and random sequence.
+            var layerOptions = {};
+            for (var opt in options) {
+                if (options.hasOwnProperty(opt)) {
+                    layerOptions[opt] = options[opt];
+                }
+            }
+            for (opt in layer.options) {
+                if (layer.options.hasOwnProperty(opt)) {
+                    layerOptions[opt] = layer.options[opt];
+                }
+            }
+            layerOptions.random = THREE.Terrain.SeededRandom(layer.seed);
+
+            var t = typeof layer.blending === 'undefined' ? THREE.NormalBlending : layer.blending,
+                result = t === THREE.NormalBlending ? new Float32Array(g) : new Float32Array(vertices),
+                weights = getWeights(layer, options);
+            layer.method.apply(null, [result, layerOptions].concat(layer.args || []));
+            for (k = 0; k < vertices; k++) {
+                var z = result[k];
+                if      (t === THREE.AdditiveBlending)    z = g[k] + z; // jscs:ignore requireSpaceAfterKeywords
+                else if (t === THREE.SubtractiveBlending) z = g[k] - z;
+                else if (t === THREE.MultiplyBlending)    z = g[k] * z;
+                else if (typeof t === 'function')         z = t(g[k], z, k);
+                g[k] += (z - g[k]) * weights[k];
+            }
+        }
+        return g;
+    };
+
+    stack.apply = function(terrain) {
+        var mesh = terrain.isMesh ? terrain : terrain.children[0],
+            positions = mesh.geometry.attributes.position.array;
+        THREE.Terrain.fromArray1D(positions, stack.evaluate(THREE.Terrain.toArray1D(positions)));
+        THREE.Terrain.Normalize(mesh, options);
+    };
+
+    for (var i = 0; layers && i < layers.length; i++) {
+        stack.add(layers[i]);
+    }
+    return stack;
+};
+
+})();
@@ -183,4 +183,4 @@
             fade(y)
         );
     };
-})(this);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
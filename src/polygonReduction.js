@@ -0,0 +1,191 @@
+(function() {
+
+/**
+ * Get the largest vertical distance between a block of vertices and a fan.
+ *
+ * The fan is made of the four triangles between the block's center and its
+ * corners. It approximates the block the way it would be drawn if it were
+ * merged into a single polygon.
+ *
+ * @param {Float32Array} zs
+ *   The elevations of the terrain vertices.
+ * @param {Number} xl
+ *   The number of vertices along the x-axis of the terrain.
+ * @param {Number} x0
+ *   The x-index of the top-left vertex of the block.
+ * @param {Number} y0
+ *   The y-index of the top-left vertex of the block.
+ * @param {Number} size
+ *   The number of cells along each side of the block.
+ *
+ * @return {Number}
+ *   The largest difference between the elevation of a vertex in the block and
+ *   the elevation of the fan at that vertex.
+ */
+function blockError(zs, xl, x0, y0, size) {
+    var half = size * 0.5,
+        center = zs[(y0 + half) * xl + x0 + half],
+        // Corners, clockwise from the top left.
+        corners = [
+            zs[y0 * xl + x0],
+            zs[y0 * xl + x0 + size],
+            zs[(y0 + size) * xl + x0 + size],
+            zs[(y0 + size) * xl + x0],
+        ],
+        maxError = 0;
+    for (var j = 0; j <= size; j++) {
+        for (var i = 0; i <= size; i++) {
+            // Find which triangle of the fan the vertex is in, then
+            // interpolate between the center and that triangle's corners.
+            var u = (i - half) / half,
+                v = (j - half) / half,
+                a, b, s, t;
+            if (Math.abs(v) >= Math.abs(u)) {
+                a = v < 0 ? 0 : 3;
+                b = v < 0 ? 1 : 2;
+                s = Math.abs(v);
+                t = (u / s + 1) * 0.5;
+            }
+            else {
+                a = u < 0 ? 0 : 1;
+                b = u < 0 ? 3 : 2;
+                s = Math.abs(u);
+                t = (v / s + 1) * 0.5;
+            }
+            var fan = s ? center + s * ((corners[a] * (1 - t) + corners[b] * t) - center) : center,
+                error = Math.abs(zs[(y0 + j) * xl + x0 + i] - fan);
+            if (error > maxError) maxError = error;
+        }
+    }
+    return maxError;
+}
+
+/**
+ * Reduce the number of polygons in a terrain mesh.
+ *
+ * Areas that are nearly coplanar are combined into larger polygons as
+ * described at http://www.shamusyoung.com/twentysidedtale/?p=142. The
+ * terrain is recursively divided into square blocks. A block whose vertices
+ * are all within `tolerance` of a fan of triangles between the block's center
+ * and corners is drawn as that fan; otherwise it is divided further. Vertices
+ * that neighboring blocks use along a shared edge are included in the fans on
+ * both sides, so the result has no cracks.
+ *
+ * The result is mostly useful for static terrains (e.g. for exporting) and on
+ * slow devices, since flat areas no longer waste thousands of triangles.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ *   The terrain geometry to reduce. This must be a `THREE.PlaneGeometry`,
+ *   like the geometry of the first child of the object returned by
+ *   {@link THREE.Terrain}().
+ * @param {Number} [tolerance=0]
+ *   The maximum vertical distance, in Three.js units, between the vertices in
+ *   a block and the fan that would replace them. Larger values result in
+ *   fewer polygons. With the default of zero, only exactly coplanar areas are
+ *   combined.
+ *
+ * @return {THREE.BufferGeometry}
+ *   A new indexed geometry with `position`, `normal`, and `uv` attributes,
+ *   in the same coordinate space as the original geometry.
+ */
+THREE.Terrain.PolygonReduction = function(geometry, tolerance) {
+    var xSegments = geometry.parameters.widthSegments,
+        ySegments = geometry.parameters.heightSegments,
+        xl = xSegments + 1,
+        positions = geometry.attributes.position.array,
+        uvs = geometry.attributes.uv.array,
+        zs = THREE.Terrain.toArray1D(positions),
+        used = new Uint8Array(zs.length),
+        leaves = [],
+        size = THREE.MathUtils.ceilPowerOfTwo(Math.max(xSegments, ySegments));
+    tolerance = tolerance || 0;
+
+    // Find the blocks that are flat enough, marking the vertices they use.
+    (function divide(x0, y0, s) {
+        if (x0 >= xSegments || y0 >= ySegments) return;
+        var inside = x0 + s <= xSegments && y0 + s <= ySegments;
+        if (inside && (s === 1 || blockError(zs, xl, x0, y0, s) <= tolerance)) {
+            leaves.push(x0, y0, s);
+            used[y0 * xl + x0] = used[y0 * xl + x0 + s] = 1;
+            used[(y0 + s) * xl + x0] = used[(y0 + s) * xl + x0 + s] = 1;
+            if (s > 1) used[(y0 + s * 0.5) * xl + x0 + s * 0.5] = 1;
+            return;
+        }
+        var h = s * 0.5;
+        divide(x0,     y0,     h);
+        divide(x0 + h, y0,     h);
+        divide(x0,     y0 + h, h);
+        divide(x0 + h, y0 + h, h);
+    })(0, 0, size);
+
+    // Copy the used vertices into the new geometry.
+    var remap = new Int32Array(zs.length),
+        count = 0,
+        k;
+    for (k = 0; k < zs.length; k++) {
+        if (used[k]) count++;
+    }
+    var newPositions = new Float32Array(count * 3),
+        newUvs = new Float32Array(count * 2);
+    count = 0;
+    for (k = 0; k < zs.length; k++) {
+        if (used[k]) {
+            newPositions[count * 3] = positions[k * 3];
+            newPositions[count * 3 + 1] = positions[k * 3 + 1];
+            newPositions[count * 3 + 2] = positions[k * 3 + 2];
+            newUvs[count * 2] = uvs[k * 2];
+            newUvs[count * 2 + 1] = uvs[k * 2 + 1];
+            remap[k] = count++;
+        }
+    }
+
+    // Triangulate each block.
+    var indices = [],
+        border = [];
+    for (var l = 0; l < leaves.length; l += 3) {
+        var x0 = leaves[l],
+            y0 = leaves[l + 1],
+            s = leaves[l + 2],
+            i, j;
+        if (s === 1) {
+            var a = remap[y0 * xl + x0],
+                b = remap[(y0 + 1) * xl + x0],
+                c = remap[(y0 + 1) * xl + x0 + 1],
+                d = remap[y0 * xl + x0 + 1];
+            // Same triangulation as THREE.PlaneGeometry.
+            indices.push(a, b, d, b, c, d);
+            continue;
+        }
+        // Walk around the border clockwise from the top left, collecting the
+        // vertices that this block or its neighbors use.
+        border.length = 0;
+        for (i = x0; i < x0 + s; i++) {
+            if (used[y0 * xl + i]) border.push(remap[y0 * xl + i]);
+        }
+        for (j = y0; j < y0 + s; j++) {
+            if (used[j * xl + x0 + s]) border.push(remap[j * xl + x0 + s]);
+        }
+        for (i = x0 + s; i > x0; i--) {
+            if (used[(y0 + s) * xl + i]) border.push(remap[(y0 + s) * xl + i]);
+        }
+        for (j = y0 + s; j > y0; j--) {
+            if (used[j * xl + x0]) border.push(remap[j * xl + x0]);
+        }
+        var center = remap[(y0 + s * 0.5) * xl + x0 + s * 0.5];
+        for (k = 0; k < border.length; k++) {
+            // The y-axis points up, so the walk is clockwise; reverse it so
+            // that the faces point up like the original plane.
+            indices.push(center, border[(k + 1) % border.length], border[k]);
+        }
+    }
+
+    var reduced = new THREE.BufferGeometry();
+    reduced.setAttribute('position', new THREE.BufferAttribute(newPositions, 3));
+    reduced.setAttribute('uv', new THREE.BufferAttribute(newUvs, 2));
+    reduced.setIndex(indices);
+    reduced.computeVertexNormals();
+    reduced.computeBoundingSphere();
+    return reduced;
+};
+
+})();
@@ -0,0 +1,775 @@
+(function() {
+
+var inverse = new THREE.Matrix4(),
+    normalMatrix = new THREE.Matrix3(),
+    point = new THREE.Vector3(),
+    vA = new THREE.Vector3(),
+    vB = new THREE.Vector3(),
+    vC = new THREE.Vector3();
+
+/**
+ * Get the terrain mesh from a terrain scene.
+ *
+ * @param {THREE.Object3D} terrainScene
+ *   The return value of a call to {@link THREE.Terrain}(), or the terrain
+ *   mesh itself.
+ *
+ * @return {THREE.Mesh}
+ *   The highest-detail terrain mesh.
+ */
+function getTerrainMesh(terrainScene) {
+    if (terrainScene.isMesh) return terrainScene;
+    for (var i = 0, l = terrainScene.children.length; i < l; i++) {
+        if (terrainScene.children[i].isMesh) return terrainScene.children[i];
+    }
+    throw new Error('The terrain scene does not contain a terrain mesh');
+}
+
+/**
+ * Find the terrain triangle underneath a world-space location.
+ *
+ * The world-space location is converted into the local space of the terrain
+ * mesh, so this accounts for the rotation that {@link THREE.Terrain}() applies
+ * to the parent object as well as any other transformations of the terrain.
+ * The vertices of the triangle are stored in `vA`, `vB`, and `vC` in the
+ * mesh's local space.
+ *
+ * @param {THREE.Mesh} mesh
+ *   The terrain mesh.
+ * @param {Number} x
+ *   The x-coordinate of the location in world space.
+ * @param {Number} z
+ *   The z-coordinate of the location in world space.
+ *
+ * @return {Boolean}
+ *   `true` if the location is over the terrain; `false` otherwise.
+ */
+function findTriangle(mesh, x, z) {
+    var params = mesh.geometry.parameters,
+        positions = mesh.geometry.attributes.position.array,
+        xl = params.widthSegments + 1,
+        segmentWidth = params.width / params.widthSegments,
+        segmentHeight = params.height / params.heightSegments;
+
+    mesh.updateWorldMatrix(true, false);
+    inverse.copy(mesh.matrixWorld).invert();
+    point.set(x, 0, z).applyMatrix4(inverse);
+
+    // Planes are built from the top-left corner, with rows going down the
+    // y-axis.
+    var fi = (point.x + params.width * 0.5) / segmentWidth,
+        fj = (params.height * 0.5 - point.y) / segmentHeight;
+    if (fi < 0 || fj < 0 || fi > params.widthSegments || fj > params.heightSegments) {
+        return false;
+    }
+    var i = Math.min(Math.floor(fi), params.widthSegments - 1),
+        j = Math.min(Math.floor(fj), params.heightSegments - 1),
+        u = fi - i,
+        v = fj - j,
+        a = j * xl + i,
+        b = (j + 1) * xl + i,
+        c = (j + 1) * xl + i + 1,
+        d = j * xl + i + 1;
+
+    // Each cell is split into the faces (a, b, d) and (b, c, d).
+    if (u + v <= 1) {
+        vA.fromArray(positions, a * 3);
+        vB.fromArray(positions, b * 3);
+        vC.fromArray(positions, d * 3);
+    }
+    else {
+        vA.fromArray(positions, b * 3);
+        vB.fromArray(positions, c * 3);
+        vC.fromArray(positions, d * 3);
+    }
+    return true;
+}
+
+/**
+ * Get the elevation of the terrain at a world-space location.
+ *
+ * This finds the terrain triangle under the location directly from the
+ * vertex grid and interpolates its height exactly, which is much faster than
+ * using a `THREE.Raycaster`. Useful for keeping characters on the ground and
+ * placing objects.
+ *
+ * Usage: `object.position.y = THREE.Terrain.getHeightAt(terrainScene, x, z);`
+ *
+ * @param {THREE.Object3D} terrainScene
+ *   The return value of a call to {@link THREE.Terrain}(), or the terrain
+ *   mesh itself.
+ * @param {Number} x
+ *   The x-coordinate of the location in world space.
+ * @param {Number} z
+ *   The z-coordinate of the location in world space.
+ *
+ * @return {Number}
+ *   The world-space y-coordinate of the terrain surface at the given location,
+ *   or `null` if the location is not over the terrain.
+ */
+THREE.Terrain.getHeightAt = function(terrainScene, x, z) {
+    var mesh = getTerrainMesh(terrainScene);
+    if (!findTriangle(mesh, x, z)) return null;
+
+    // Interpolate the local z-coordinate within the triangle.
+    vC.sub(vA);
+    vB.sub(vA);
+    var det = vB.x * vC.y - vC.x * vB.y,
+        px = point.x - vA.x,
+        py = point.y - vA.y,
+        s = (px * vC.y - vC.x * py) / det,
+        t = (vB.x * py - px * vB.y) / det;
+    point.z = vA.z + s * vB.z + t * vC.z;
+
+    return point.applyMatrix4(mesh.matrixWorld).y;
+};
+
+/**
+ * Get the normal of the terrain surface at a world-space location.
+ *
+ * @param {THREE.Object3D} terrainScene
+ *   The return value of a call to {@link THREE.Terrain}(), or the terrain
+ *   mesh itself.
+ * @param {Number} x
+ *   The x-coordinate of the location in world space.
+ * @param {Number} z
+ *   The z-coordinate of the location in world space.
+ * @param {THREE.Vector3} [target]
+ *   The vector in which to store the result. If not passed, a new vector will
+ *   be created.
+ *
+ * @return {THREE.Vector3}
+ *   The world-space unit normal of the terrain face at the given location, or
+ *   `null` if the location is not over the terrain.
+ */
+THREE.Terrain.getNormalAt = function(terrainScene, x, z, target) {
+    var mesh = getTerrainMesh(terrainScene);
+    if (!findTriangle(mesh, x, z)) return null;
+
+    target = target || new THREE.Vector3();
+    THREE.Triangle.getNormal(vA, vB, vC, target);
+    normalMatrix.getNormalMatrix(mesh.matrixWorld);
+    return target.applyMatrix3(normalMatrix).normalize();
+};
+
+/**
+ * Get the elevation of a terrain mesh at a location in vertex-grid units.
+ *
+ * @param {THREE.Mesh} mesh
+ *   The terrain mesh.
+ * @param {Number} fi
+ *   The location along the x-axis, in segments from the left edge.
+ * @param {Number} fj
+ *   The location along the y-axis, in segments from the top edge.
+ *
+ * @return {Number}
+ *   The z-coordinate of the terrain surface in the mesh's local space.
+ */
+function gridHeight(mesh, fi, fj) {
+    var params = mesh.geometry.parameters,
+        positions = mesh.geometry.attributes.position.array,
+        xl = params.widthSegments + 1,
+        i = Math.min(Math.floor(fi), params.widthSegments - 1),
+        j = Math.min(Math.floor(fj), params.heightSegments - 1),
+        u = fi - i,
+        v = fj - j,
+        a = positions[(j * xl + i) * 3 + 2],
+        b = positions[((j + 1) * xl + i) * 3 + 2],
+        c = positions[((j + 1) * xl + i + 1) * 3 + 2],
+        d = positions[(j * xl + i + 1) * 3 + 2];
+    // Each cell is split into the faces (a, b, d) and (b, c, d).
+    if (u + v <= 1) return a + u * (d - a) + v * (b - a);
+    return c + (1 - u) * (b - c) + (1 - v) * (d - c);
+}
+
+/**
+ * Check whether a straight line stays above a terrain mesh.
+ *
+ * Between the places where the line crosses the edges of the terrain's
+ * triangles, both the line and the terrain are straight, so the line is above
+ * the terrain everywhere if it is above the terrain at each of those places.
+ *
+ * @param {THREE.Mesh} mesh
+ *   The terrain mesh.
+ * @param {THREE.Vector3} start
+ *   The start of the line, with x and y in vertex-grid units (see
+ *   `gridHeight()`) and z in the mesh's local space.
+ * @param {THREE.Vector3} end
+ *   The end of the line, in the same units as `start`.
+ *
+ * @return {Boolean}
+ *   `true` if no part of the line is below the terrain; `false` otherwise.
+ */
+function isAboveTerrain(mesh, start, end) {
+    var params = mesh.geometry.parameters,
+        di = end.x - start.x,
+        dj = end.y - start.y,
+        dz = end.z - start.z,
+        // Allow for rounding errors when the line ends on the terrain.
+        epsilon = 1e-4 * (Math.abs(start.z) + Math.abs(end.z) + 1);
+
+    // Check whether the line is above the terrain where its parameter is t.
+    function above(t) {
+        var fi = start.x + di * t,
+            fj = start.y + dj * t;
+        if (t < 0 || t > 1 || fi < 0 || fj < 0 || fi > params.widthSegments || fj > params.heightSegments) {
+            return true;
+        }
+        return start.z + dz * t >= gridHeight(mesh, fi, fj) - epsilon;
+    }
+
+    // Check where the line crosses each kind of triangle edge: vertical grid
+    // lines, horizontal grid lines, and the diagonals where i + j is whole.
+    function crossings(from, delta) {
+        if (!delta) return true;
+        var first = Math.ceil(Math.min(from, from + delta)),
+            last = Math.floor(Math.max(from, from + delta));
+        for (var n = first; n <= last; n++) {
+            if (!above((n - from) / delta)) return false;
+        }
+        return true;
+    }
+
+    return above(0) && above(1) &&
+        crossings(start.x, di) &&
+        crossings(start.y, dj) &&
+        crossings(start.x + start.y, di + dj);
+}
+
+/**
+ * Convert a world-space location into vertex-grid units of a terrain mesh.
+ *
+ * @param {THREE.Mesh} mesh
+ *   The terrain mesh, whose world matrix is up to date.
+ * @param {THREE.Vector3} location
+ *   The world-space location.
+ * @param {THREE.Vector3} target
+ *   The vector in which to store the result, with x and y in vertex-grid units
+ *   (see `gridHeight()`) and z in the mesh's local space.
+ *
+ * @return {THREE.Vector3}
+ *   `target`.
+ */
+function toGrid(mesh, location, target) {
+    var params = mesh.geometry.parameters;
+    target.copy(location).applyMatrix4(inverse);
+    target.x = (target.x + params.width * 0.5) / (params.width / params.widthSegments);
+    target.y = (params.height * 0.5 - target.y) / (params.height / params.heightSegments);
+    return target;
+}
+
+/**
+ * Check whether two locations can see each other over the terrain.
+ *
+ * This walks the heightmap grid along the line between the two locations, so
+ * the result is exact but much faster than using a `THREE.Raycaster`. Parts
+ * of the line that are not over the terrain never block it.
+ *
+ * Usage: `if (THREE.Terrain.lineOfSight(terrainScene, guard.position, player.position)) { ... }`
+ *
+ * @param {THREE.Object3D} terrain
+ *   The return value of a call to {@link THREE.Terrain}(), or the terrain
+ *   mesh itself.
+ * @param {THREE.Vector3} from
+ *   One end of the line of sight in world space, e.g. the eyes of an observer.
+ * @param {THREE.Vector3} to
+ *   The other end of the line of sight in world space.
+ *
+ * @return {Boolean}
+ *   `true` if the terrain does not block the line between the locations;
+ *   `false` otherwise.
+ */
+THREE.Terrain.lineOfSight = function(terrain, from, to) {
+    var mesh = getTerrainMesh(terrain);
+    mesh.updateWorldMatrix(true, false);
+    inverse.copy(mesh.matrixWorld).invert();
+    return isAboveTerrain(mesh, toGrid(mesh, from, vA), toGrid(mesh, to, vB));
+};
+
+/**
+ * Find the parts of the terrain that are visible from a location.
+ *
+ * Usage:
+ *
+ *     var visible = THREE.Terrain.viewshed(terrainScene, tower.position, 500);
+ *     // visible[j * (xSegments + 1) + i] is 1 if the vertex in column i and
+ *     // row j is visible from the tower.
+ *
+ * @param {THREE.Object3D} terrain
+ *   The return value of a call to {@link THREE.Terrain}(), or the terrain
+ *   mesh itself.
+ * @param {THREE.Vector3} observer
+ *   The world-space location from which to look, e.g. the eyes of a guard.
+ * @param {Number} [radius=Infinity]
+ *   The farthest horizontal distance in world space that can be seen.
+ * @param {Number} [targetHeight=0]
+ *   How high above the terrain to look. For example, pass the height of a
+ *   character to find where that character could be seen.
+ *
+ * @return {Uint8Array}
+ *   A visibility mask with one value per vertex of the terrain, in the same
+ *   order as the vertices: 1 if the vertex (or the point `targetHeight`
+ *   above it) is visible from the observer, and 0 otherwise.
+ */
+THREE.Terrain.viewshed = function(terrain, observer, radius, targetHeight) {
+    var mesh = getTerrainMesh(terrain),
+        params = mesh.geometry.parameters,
+        positions = mesh.geometry.attributes.position.array,
+        xl = params.widthSegments + 1,
+        yl = params.heightSegments + 1,
+        visible = new Uint8Array(xl * yl);
+    if (typeof radius !== 'number') radius = Infinity;
+    targetHeight = targetHeight || 0;
+
+    mesh.updateWorldMatrix(true, false);
+    inverse.copy(mesh.matrixWorld).invert();
+    toGrid(mesh, observer, vA);
+    for (var j = 0; j < yl; j++) {
+        for (var i = 0; i < xl; i++) {
+            var k = j * xl + i;
+            point.set(positions[k * 3], positions[k * 3 + 1], positions[k * 3 + 2] + targetHeight)
+                .applyMatrix4(mesh.matrixWorld);
+            if (Math.sqrt((point.x - observer.x) * (point.x - observer.x) + (point.z - observer.z) * (point.z - observer.z)) > radius) {
+                continue;
+            }
+            vB.set(i, j, positions[k * 3 + 2] + targetHeight);
+            visible[k] = isAboveTerrain(mesh, vA, vB) ? 1 : 0;
+        }
+    }
+    return visible;
+};
+
+/**
+ * The offsets of the vertices that can be reached in one step on the grid.
+ *
+ * `KING_MOVES` are the eight neighbors of a vertex. `KNIGHT_MOVES` adds the
+ * vertices one step away along one axis and two along the other, so that paths
+ * can turn at finer angles.
+ */
+var KING_MOVES = [
+        [-1, -1], [0, -1], [1, -1],
+        [-1,  0],          [1,  0],
+        [-1,  1], [0,  1], [1,  1],
+    ],
+    KNIGHT_MOVES = KING_MOVES.concat([
+        [-1, -2], [1, -2], [-2, -1], [2, -1],
+        [-2,  1], [2,  1], [-1,  2], [1,  2],
+    ]);
+
+/**
+ * Find the cheapest path over a vertex grid from a set of sources to a goal.
+ *
+ * This is Dijkstra's algorithm, or A* if there is only one possible goal.
+ *
+ * @param {Float32Array} zs
+ *   The elevations of the terrain vertices.
+ * @param {Number} xl
+ *   The number of vertices along the x-axis of the terrain.
+ * @param {Number} yl
+ *   The number of vertices along the y-axis of the terrain.
+ * @param {Number} dx
+ *   The distance between vertices along the x-axis.
+ * @param {Number} dy
+ *   The distance between vertices along the y-axis.
+ * @param {Number[]} sources
+ *   The indices of the vertices at which the path can start.
+ * @param {Function} isGoal
+ *   A function that takes the index of a vertex and returns whether the path
+ *   can end there.
+ * @param {Function} cost
+ *   A function that returns the cost of a step. See the `cost` option of
+ *   {@link THREE.Terrain.findPath}.
+ * @param {Number[][]} moves
+ *   The offsets of the vertices that can be reached in one step.
+ * @param {Number} [goal]
+ *   The index of the only possible goal, used to direct the search.
+ *
+ * @return {Number[]}
+ *   The indices of the vertices along the path, or `null` if there is no
+ *   possible path.
+ */
+function searchGrid(zs, xl, yl, dx, dy, sources, isGoal, cost, moves, goal) {
+    var goalI = goal % xl,
+        goalJ = (goal - goalI) / xl,
+        costs = new Float64Array(xl * yl).fill(Infinity),
+        cameFrom = new Int32Array(xl * yl).fill(-1),
+        closed = new Uint8Array(xl * yl),
+        open = new THREE.Terrain.PriorityQueue(),
+        end = -1,
+        k;
+
+    for (var s = 0; s < sources.length; s++) {
+        costs[sources[s]] = 0;
+        open.push(sources[s], 0);
+    }
+    while (open.items.length) {
+        k = open.pop();
+        if (closed[k]) continue;
+        if (isGoal(k)) {
+            end = k;
+            break;
+        }
+        closed[k] = 1;
+        var ci = k % xl,
+            cj = (k - ci) / xl;
+        for (var m = 0; m < moves.length; m++) {
+            var i = ci + moves[m][0],
+                j = cj + moves[m][1],
+                n = j * xl + i;
+            if (i < 0 || i >= xl || j < 0 || j >= yl || closed[n]) continue;
+            var length = Math.sqrt(moves[m][0] * moves[m][0] * dx * dx + moves[m][1] * moves[m][1] * dy * dy),
+                total = costs[k] + cost(k, n, length, zs[n] - zs[k]);
+            if (total < costs[n]) {
+                costs[n] = total;
+                cameFrom[n] = k;
+                // The horizontal distance to the goal never overestimates the
+                // remaining cost.
+                open.push(n, typeof goal === 'undefined' ? total : total + Math.sqrt(
+                    (goalI - i) * (goalI - i) * dx * dx + (goalJ - j) * (goalJ - j) * dy * dy
+                ));
+            }
+        }
+    }
+    if (end === -1) return null;
+
+    var path = [];
+    for (k = end; k !== -1; k = cameFrom[k]) {
+        path.push(k);
+    }
+    return path.reverse();
+}
+
+/**
+ * Find the cheapest path over the terrain between two locations.
+ *
+ * This uses the A* algorithm over the terrain's vertex grid, moving between
+ * each vertex and its eight neighbors. By default the cost of each step is
+ * its length along the surface, increased by how steep it is, how much it
+ * climbs or descends, and how much it is penalized by `options.penalty`, so
+ * paths go around hills and obstacles when that is cheaper than going over
+ * them.
+ *
+ * Usage:
+ *
+ *     var path = THREE.Terrain.findPath(terrainScene, npc.position, goal, {
+ *         maxSlope: 30 / 180 * Math.PI,
+ *     });
+ *
+ * @param {THREE.Object3D} terrain
+ *   The return value of a call to {@link THREE.Terrain}(), or the terrain
+ *   mesh itself.
+ * @param {THREE.Vector3} from
+ *   The world-space location at which the path starts. The path starts at the
+ *   closest terrain vertex.
+ * @param {THREE.Vector3} to
+ *   The world-space location at which the path ends. The path ends at the
+ *   closest terrain vertex.
+ * @param {Object} [options]
+ *   A map of settings that control the cost of each step:
+ *   - `maxSlope`: The angle in radians between a step and the horizontal above
+ *     which the step is impossible. This is the same convention as the
+ *     `maxSlope` option of {@link THREE.Terrain.ScatterMeshes}. Defaults to
+ *     `Math.PI / 2` (any slope is possible).
+ *   - `slopeCost`: How much more expensive steep steps are. The length of
+ *     each step is multiplied by `1 + slopeCost * tan(slope)`. Defaults to 1.
+ *   - `climbCost`: The cost of each unit of elevation gained. Defaults to 0.
+ *   - `descentCost`: The cost of each unit of elevation lost. Defaults to 0.
+ *   - `penalty`: An array with one value per vertex, in the same order as the
+ *     vertices of the terrain. The cost of each step is multiplied by one plus
+ *     the penalty of the vertex it arrives at, so a penalty of 1 makes a
+ *     vertex twice as expensive to reach and a penalty of `Infinity` makes it
+ *     impossible to reach. Useful to avoid water, buildings, or enemies.
+ *   - `cost`: A function that replaces the default cost of a step. It takes
+ *     the index of the vertex the step leaves, the index of the vertex it
+ *     arrives at, the horizontal length of the step, and the change in
+ *     elevation, and returns the cost of the step (`Infinity` if the step is
+ *     impossible). To find the cheapest path, costs should be at least the
+ *     horizontal length of the step.
+ *
+ * @return {THREE.Vector3[]}
+ *   The world-space positions of the terrain vertices along the path, or
+ *   `null` if there is no possible path.
+ */
+THREE.Terrain.findPath = function(terrain, from, to, options) {
+    options = options || {};
+    var mesh = getTerrainMesh(terrain),
+        params = mesh.geometry.parameters,
+        positions = mesh.geometry.attributes.position.array,
+        xl = params.widthSegments + 1,
+        yl = params.heightSegments + 1,
+        dx = params.width / params.widthSegments,
+        dy = params.height / params.heightSegments,
+        maxRise = Math.tan(typeof options.maxSlope === 'number' ? options.maxSlope : Math.PI / 2),
+        slopeCost = typeof options.slopeCost === 'number' ? options.slopeCost : 1,
+        climbCost = options.climbCost || 0,
+        descentCost = options.descentCost || 0,
+        penalty = options.penalty,
+        cost = options.cost || function(a, b, length, rise) {
+            var slope = Math.abs(rise) / length;
+            if (slope > maxRise) return Infinity;
+            return Math.sqrt(length * length + rise * rise) * (1 + slopeCost * slope) *
+                (penalty ? 1 + penalty[b] : 1) +
+                (rise > 0 ? rise * climbCost : -rise * descentCost);
+        };
+
+    // Find the vertices closest to the start and end.
+    mesh.updateWorldMatrix(true, false);
+    inverse.copy(mesh.matrixWorld).invert();
+    toGrid(mesh, from, vA);
+    toGrid(mesh, to, vB);
+    var start = Math.min(Math.max(Math.round(vA.y), 0), yl - 1) * xl + Math.min(Math.max(Math.round(vA.x), 0), xl - 1),
+        goal = Math.min(Math.max(Math.round(vB.y), 0), yl - 1) * xl + Math.min(Math.max(Math.round(vB.x), 0), xl - 1),
+        vertices = searchGrid(
+            THREE.Terrain.toArray1D(positions), xl, yl, dx, dy, [start],
+            function(k) { return k === goal; }, cost, KING_MOVES, goal
+        );
+    if (!vertices) return null;
+
+    var path = [];
+    for (var v = 0; v < vertices.length; v++) {
+        var k = vertices[v];
+        path.push(new THREE.Vector3(positions[k * 3], positions[k * 3 + 1], positions[k * 3 + 2]).applyMatrix4(mesh.matrixWorld));
+    }
+    return path;
+};
+
+/**
+ * Get the elevation of a heightmap at a location between its vertices.
+ *
+ * @param {Float32Array} g
+ *   The geometry's z-positions.
+ * @param {Object} options
+ *   The options used to construct the terrain.
+ * @param {Number} x
+ *   The x-coordinate of the location in the terrain mesh's local space.
+ * @param {Number} y
+ *   The y-coordinate of the location in the terrain mesh's local space.
+ *
+ * @return {Number}
+ *   The elevation interpolated between the surrounding vertices.
+ */
+function sampleHeightmap(g, options, x, y) {
+    var xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        fi = Math.min(Math.max((x + options.xSize * 0.5) / options.xSize * options.xSegments, 0), xl - 1),
+        fj = Math.min(Math.max((options.ySize * 0.5 - y) / options.ySize * options.ySegments, 0), yl - 1),
+        i = Math.min(Math.floor(fi), xl - 2),
+        j = Math.min(Math.floor(fj), yl - 2),
+        u = fi - i,
+        v = fj - j,
+        k = j * xl + i;
+    return (g[k] * (1 - u) + g[k + 1] * u) * (1 - v) + (g[k + xl] * (1 - u) + g[k + xl + 1] * u) * v;
+}
+
+/**
+ * Build a network of roads that connects points of interest.
+ *
+ * Starting from the first point, the network repeatedly grows the cheapest
+ * road from anywhere on the network to a point that isn't connected yet, so
+ * roads to nearby points branch off of existing roads instead of running
+ * beside them. The result is a tree whose nodes are the points and the
+ * junctions where roads meet, and whose edges are the roads between them.
+ *
+ * Roads prefer gentle slopes. Each step costs its length along the surface
+ * multiplied by `1 + slopeCost * grade`, and steps steeper than `maxGrade`
+ * quickly become much more expensive, so on steep terrain roads traverse the
+ * slope and switch back instead of climbing straight up it. Steps can move to
+ * any of the 16 vertices within a knight's move, so roads can take gentler
+ * diagonals than the eight neighbors of a vertex allow.
+ *
+ * Once the network is planned, the roads are smoothed and carved into the
+ * terrain with {@link THREE.Terrain.Road}.
+ *
+ * Usage:
+ *
+ *     terrainScene = THREE.Terrain({
+ *         after: function(vertices, options) {
+ *             var network = THREE.Terrain.RoadNetwork(vertices, options, [
+ *                 new THREE.Vector2(-300, 200),
+ *                 new THREE.Vector2(250, 150),
+ *                 new THREE.Vector2(0, -300),
+ *             ]);
+ *         },
+ *     });
+ *
+ * @param {Float32Array} g
+ *   The geometry's z-positions to modify with heightmap data.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}(). Only `xSize`, `ySize`, `xSegments`, and
+ *   `ySegments` are used.
+ * @param {THREE.Vector2[]/THREE.Vector3[]} points
+ *   The points of interest to connect. Only the `x` and `y` coordinates are
+ *   used; they are in the terrain mesh's local space, like the `path`
+ *   parameter of {@link THREE.Terrain.Road}. Each point is moved to the
+ *   closest terrain vertex.
+ * @param {Object} [params]
+ *   A map of settings for the network:
+ *   - `maxGrade`: The steepest grade (rise over run) that roads should climb.
+ *     Defaults to 0.1.
+ *   - `slopeCost`: How much more expensive steep steps are. Defaults to 4.
+ *   - `penalty`: An array with one value per vertex that makes roads more
+ *     expensive to build there, like the `penalty` option of
+ *     {@link THREE.Terrain.findPath}. Points that can only be reached through
+ *     vertices with a penalty of `Infinity` are not connected.
+ *   - `carve`: Whether to carve the roads into the terrain. Defaults to
+ *     `true`.
+ *   - `width`, `shoulder`, `easing`, `smoothing`: Passed to
+ *     {@link THREE.Terrain.Road} to carve each road.
+ *
+ * @return {Object}
+ *   An object with the following properties:
+ *   - `heightmap`: `g`, with the roads carved into it.
+ *   - `nodes`: The points and junctions of the network. Each node is an object
+ *     with a `vertex` (the index of its terrain vertex), `poi` (the index of
+ *     its point in `points`, or -1 for junctions), and `position` (a
+ *     `THREE.Vector3` in the terrain mesh's local space).
+ *   - `edges`: The roads of the network. Each edge is an object with the
+ *     indices of the nodes it connects (`from` and `to`), the indices of the
+ *     terrain `vertices` it follows, the smoothed `points` of its center line
+ *     (`THREE.Vector3`s in the terrain mesh's local space), and its horizontal
+ *     `length`.
+ *   - `cut` and `fill`: The volume of terrain removed and added by carving
+ *     the roads, in cubic Three.js units.
+ */
+THREE.Terrain.RoadNetwork = function(g, options, points, params) {
+    params = params || {};
+    var xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        dx = options.xSize / options.xSegments,
+        dy = options.ySize / options.ySegments,
+        maxGrade = params.maxGrade || 0.1,
+        slopeCost = typeof params.slopeCost === 'number' ? params.slopeCost : 4,
+        penalty = params.penalty,
+        onNetwork = new Uint8Array(g.length),
+        edgeOf = new Int32Array(g.length).fill(-1),
+        nodeAt = {},
+        pois = {},
+        nodes = [],
+        edges = [],
+        sources = [],
+        remaining = 0,
+        p, k, e, v, ci;
+
+    function cost(a, b, length, rise) {
+        var grade = Math.abs(rise) / length;
+        return Math.sqrt(length * length + rise * rise) * (1 + slopeCost * grade) *
+            (grade > maxGrade ? Math.pow(grade / maxGrade, 8) : 1) *
+            (penalty ? 1 + penalty[b] : 1);
+    }
+
+    function isGoal(k) {
+        return pois.hasOwnProperty(k) && !onNetwork[k];
+    }
+
+    // Get the node at a vertex on the network, splitting the road through it
+    // if there isn't one.
+    function getNode(k, poi) {
+        if (nodeAt.hasOwnProperty(k)) return nodeAt[k];
+        var node = nodes.length;
+        nodes.push({vertex: k, poi: poi, position: null});
+        nodeAt[k] = node;
+        if (edgeOf[k] !== -1) {
+            var edge = edges[edgeOf[k]],
+                split = edge.vertices.indexOf(k),
+                after = {from: node, to: edge.to, vertices: edge.vertices.slice(split)};
+            edge.vertices = edge.vertices.slice(0, split + 1);
+            edge.to = node;
+            for (var v = 1; v < after.vertices.length - 1; v++) {
+                edgeOf[after.vertices[v]] = edges.length;
+            }
+            edges.push(after);
+            edgeOf[k] = -1;
+        }
+        return node;
+    }
+
+    // Find the closest vertex to each point.
+    for (p = 0; p < points.length; p++) {
+        k = Math.min(Math.max(Math.round((options.ySize * 0.5 - points[p].y) / dy), 0), yl - 1) * xl +
+            Math.min(Math.max(Math.round((points[p].x + options.xSize * 0.5) / dx), 0), xl - 1);
+        if (!pois.hasOwnProperty(k)) {
+            pois[k] = p;
+            remaining++;
+        }
+    }
+    if (!points.length) return {heightmap: g, nodes: nodes, edges: edges, cut: 0, fill: 0};
+
+    // Grow the network from the first point.
+    for (k in pois) {
+        if (pois.hasOwnProperty(k) && pois[k] === 0) {
+            getNode(+k, 0);
+            onNetwork[k] = 1;
+            sources.push(+k);
+            remaining--;
+        }
+    }
+    while (remaining > 0) {
+        var path = searchGrid(g, xl, yl, dx, dy, sources, isGoal, cost, KNIGHT_MOVES);
+        if (!path) break;
+        var from = getNode(path[0], -1),
+            end = path[path.length - 1],
+            to = getNode(end, pois[end]);
+        for (v = 1; v < path.length; v++) {
+            k = path[v];
+            onNetwork[k] = 1;
+            sources.push(k);
+            if (v < path.length - 1) edgeOf[k] = edges.length;
+        }
+        edges.push({from: from, to: to, vertices: path});
+        remaining--;
+    }
+
+    // Smooth the center line of each road, keeping the ends in place so that
+    // the roads still meet.
+    for (e = 0; e < edges.length; e++) {
+        var vertices = edges[e].vertices,
+            line = [];
+        for (v = 0; v < vertices.length; v++) {
+            ci = vertices[v] % xl;
+            line.push(new THREE.Vector3(ci * dx - options.xSize * 0.5, options.ySize * 0.5 - (vertices[v] - ci) / xl * dy, 0));
+        }
+        for (var pass = 0; pass < 2; pass++) {
+            var previous = line[0].clone();
+            for (v = 1; v < line.length - 1; v++) {
+                var current = line[v].clone();
+                line[v].multiplyScalar(0.5).addScaledVector(previous, 0.25).addScaledVector(line[v + 1], 0.25);
+                previous = current;
+            }
+        }
+        edges[e].points = line;
+        edges[e].length = 0;
+        for (v = 1; v < line.length; v++) {
+            edges[e].length += line[v].distanceTo(line[v - 1]);
+        }
+    }
+
+    // Carve the roads and record their elevations.
+    var cut = 0,
+        fill = 0;
+    for (e = 0; e < edges.length; e++) {
+        if (params.carve === false) {
+            for (v = 0; v < edges[e].points.length; v++) {
+                edges[e].points[v].z = sampleHeightmap(g, options, edges[e].points[v].x, edges[e].points[v].y);
+            }
+            continue;
+        }
+        var road = THREE.Terrain.Road(g, options, edges[e].points, params);
+        edges[e].points = road.points;
+        cut += road.cut;
+        fill += road.fill;
+    }
+    for (var n = 0; n < nodes.length; n++) {
+        ci = nodes[n].vertex % xl;
+        nodes[n].position = new THREE.Vector3(
+            ci * dx - options.xSize * 0.5,
+            options.ySize * 0.5 - (nodes[n].vertex - ci) / xl * dy,
+            g[nodes[n].vertex]
+        );
+    }
+
+    return {heightmap: g, nodes: nodes, edges: edges, cut: cut, fill: fill};
+};
+
+})();
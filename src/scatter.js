@@ -31,7 +31,15 @@
  *     returns an array of numbers, where each number is the probability that
  *     a mesh is NOT placed on the corresponding face. Valid values include
  *     `Math.random` and the return value of a call to
- *     `THREE.Terrain.ScatterHelper`.
+ *     `THREE.Terrain.ScatterHelper`. If the function returns a single number
+ *     instead of an array (as `Math.random` does), the `random` option is
+ *     used to decide placement on each face.
+ *   - `random`: A function that behaves like `Math.random`, used to decide
+ *     where to place meshes and how to rotate and scale them. Ignored if the
+ *     `seed` option is set. Defaults to `Math.random`.
+ *   - `seed`: A number or string used to seed a deterministic random number
+ *     generator, so that the same options always scatter meshes the same
+ *     way. See {@link THREE.Terrain.SeededRandom}.
  *   - `maxSlope`: The angle in radians between the normal of a face of the
  *     terrain and the "up" vector above which no mesh will be placed on the
  *     related face. Defaults to ~0.63, which is 36 degrees.
@@ -71,7 +79,12 @@ THREE.Terrain.ScatterMeshes = function(geometry, options) {
         }
     }
 
-    var spreadIsNumber = typeof options.spread === 'number',
+    if (typeof options.seed !== 'undefined' && options.seed !== null) {
+        options.random = THREE.Terrain.SeededRandom(options.seed);
+    }
+
+    var random = THREE.Terrain.getRandom(options),
+        spreadIsNumber = typeof options.spread === 'number',
         randomHeightmap,
         randomness,
         spreadRange = 1 / options.smoothSpread,
@@ -83,7 +96,7 @@ THREE.Terrain.ScatterMeshes = function(geometry, options) {
         up = options.mesh.up.clone().applyAxisAngle(new THREE.Vector3(1, 0, 0), 0.5*Math.PI);
     if (spreadIsNumber) {
         randomHeightmap = options.randomness();
-        randomness = typeof randomHeightmap === 'number' ? Math.random : function(k) { return randomHeightmap[k]; };
+        randomness = typeof randomHeightmap === 'number' ? random : function(k) { return randomHeightmap[k]; };
     }
 
     geometry = geometry.toNonIndexed();
@@ -96,7 +109,7 @@ THREE.Terrain.ScatterMeshes = function(geometry, options) {
 
         var place = false;
         if (spreadIsNumber) {
-            var rv = randomness(key);
+            var rv = randomness(i / 9);
             if (rv < options.spread) {
                 place = true;
             }
@@ -104,7 +117,7 @@ THREE.Terrain.ScatterMeshes = function(geometry, options) {
                 // Interpolate rv between spread and spread + smoothSpread,
                 // then multiply that "easing" value by the probability
                 // that a mesh would get placed on a given face.
-                place = THREE.Terrain.EaseInOut((rv - options.spread) * spreadRange) * options.spread > Math.random();
+                place = THREE.Terrain.EaseInOut((rv - options.spread) * spreadRange) * options.spread > random();
             }
         }
         else {
@@ -129,9 +142,9 @@ THREE.Terrain.ScatterMeshes = function(geometry, options) {
                 }
             }
             mesh.rotation.x += 90 / 180 * Math.PI;
-            mesh.rotateY(Math.random() * 2 * Math.PI);
+            mesh.rotateY(random() * 2 * Math.PI);
             if (options.sizeVariance) {
-                var variance = Math.random() * doubleSizeVariance - options.sizeVariance;
+                var variance = random() * doubleSizeVariance - options.sizeVariance;
                 mesh.scale.x = mesh.scale.z = 1 + variance;
                 mesh.scale.y += variance;
             }
@@ -188,10 +201,11 @@ THREE.Terrain.ScatterHelper = function(method, options, skip, threshold) {
     clonedOptions.stretch = true;
     clonedOptions.maxHeight = 1;
     clonedOptions.minHeight = 0;
-    var heightmap = THREE.Terrain.heightmapArray(method, clonedOptions);
+    var heightmap = THREE.Terrain.heightmapArray(method, clonedOptions),
+        random = THREE.Terrain.getRandom(clonedOptions);
 
     for (var i = 0, l = heightmap.length; i < l; i++) {
-        if (i % skip || Math.random() > threshold) {
+        if (i % skip || random() > threshold) {
             heightmap[i] = 1; // 0 = place, 1 = don't place
         }
     }
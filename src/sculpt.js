@@ -0,0 +1,548 @@
+(function() {
+
+var localPoint = new THREE.Vector3(),
+    vA = new THREE.Vector3(),
+    vB = new THREE.Vector3(),
+    vC = new THREE.Vector3(),
+    cb = new THREE.Vector3(),
+    ab = new THREE.Vector3();
+
+/**
+ * Brushes for sculpting terrain with {@link THREE.Terrain.sculpt}.
+ *
+ * Each brush takes the stroke being applied, the x- and y-index of a vertex
+ * under the brush, and the weight of the brush at that vertex (between 0 and 1
+ * depending on the distance from the center of the brush), and returns the new
+ * elevation of the vertex. `stroke.elevation(i, j)` returns the elevation of
+ * any vertex before the stroke, and `stroke.params` contains the parameters
+ * passed to {@link THREE.Terrain.sculpt}.
+ */
+THREE.Terrain.Brushes = {
+    Raise: function(stroke, i, j, weight) {
+        return stroke.elevation(i, j) + stroke.params.strength * weight;
+    },
+    Lower: function(stroke, i, j, weight) {
+        return stroke.elevation(i, j) - stroke.params.strength * weight;
+    },
+    // Move toward the average elevation of the surrounding vertices.
+    Smooth: function(stroke, i, j, weight) {
+        var sum = 0;
+        for (var n = -1; n <= 1; n++) {
+            for (var m = -1; m <= 1; m++) {
+                sum += stroke.elevation(i + m, j + n);
+            }
+        }
+        var z = stroke.elevation(i, j);
+        return z + (sum / 9 - z) * Math.min(stroke.params.strength, 1) * weight;
+    },
+    // Move toward the elevation at the center of the brush.
+    Flatten: function(stroke, i, j, weight) {
+        var z = stroke.elevation(i, j),
+            target = typeof stroke.params.height === 'number' ? stroke.params.height : stroke.centerElevation;
+        return z + (target - z) * Math.min(stroke.params.strength, 1) * weight;
+    },
+    // Add Simplex noise, with features about half the size of the brush.
+    Noise: function(stroke, i, j, weight) {
+        var scale = stroke.params.noiseScale || stroke.params.radius * 0.5;
+        return stroke.elevation(i, j) + noise.simplex(
+            (i * stroke.dx) / scale,
+            (j * stroke.dy) / scale
+        ) * stroke.params.strength * weight;
+    },
+    // Move toward `params.height`.
+    Set: function(stroke, i, j, weight) {
+        var z = stroke.elevation(i, j),
+            target = stroke.params.height || 0;
+        return z + (target - z) * Math.min(stroke.params.strength, 1) * weight;
+    },
+};
+
+/**
+ * Recompute the normals and expand the bounds of part of a terrain mesh.
+ *
+ * The normals are computed the same way as
+ * `THREE.BufferGeometry#computeVertexNormals()`, but only for the vertices
+ * that share a face with a vertex in the region.
+ *
+ * @param {THREE.Mesh} mesh
+ *   The terrain mesh.
+ * @param {Number} i0
+ *   The smallest x-index of the vertices that changed.
+ * @param {Number} j0
+ *   The smallest y-index of the vertices that changed.
+ * @param {Number} i1
+ *   The largest x-index of the vertices that changed.
+ * @param {Number} j1
+ *   The largest y-index of the vertices that changed.
+ */
+function updateRegion(mesh, i0, j0, i1, j1) {
+    var geometry = mesh.geometry,
+        xl = geometry.parameters.widthSegments + 1,
+        yl = geometry.parameters.heightSegments + 1,
+        positions = geometry.attributes.position.array,
+        normals = geometry.attributes.normal.array,
+        // Vertices whose normals change.
+        ni0 = Math.max(i0 - 1, 0),
+        nj0 = Math.max(j0 - 1, 0),
+        ni1 = Math.min(i1 + 1, xl - 1),
+        nj1 = Math.min(j1 + 1, yl - 1),
+        w = ni1 - ni0 + 1,
+        sums = new Float32Array(w * (nj1 - nj0 + 1) * 3),
+        i, j, k, t;
+
+    function addFace(a, b, c) {
+        vA.fromArray(positions, a * 3);
+        vB.fromArray(positions, b * 3);
+        vC.fromArray(positions, c * 3);
+        cb.subVectors(vC, vB).cross(ab.subVectors(vA, vB));
+        var corners = [a, b, c];
+        for (var v = 0; v < 3; v++) {
+            var vi = corners[v] % xl,
+                vj = (corners[v] - vi) / xl;
+            if (vi < ni0 || vi > ni1 || vj < nj0 || vj > nj1) continue;
+            var s = ((vj - nj0) * w + vi - ni0) * 3;
+            sums[s] += cb.x;
+            sums[s + 1] += cb.y;
+            sums[s + 2] += cb.z;
+        }
+    }
+
+    // Add up the normals of the faces of each cell touching those vertices.
+    for (j = Math.max(nj0 - 1, 0); j < Math.min(nj1 + 1, yl - 1); j++) {
+        for (i = Math.max(ni0 - 1, 0); i < Math.min(ni1 + 1, xl - 1); i++) {
+            var a = j * xl + i,
+                b = (j + 1) * xl + i,
+                c = (j + 1) * xl + i + 1,
+                d = j * xl + i + 1;
+            // Same triangulation as THREE.PlaneGeometry.
+            addFace(a, b, d);
+            addFace(b, c, d);
+        }
+    }
+    for (j = nj0; j <= nj1; j++) {
+        for (i = ni0; i <= ni1; i++) {
+            k = (j * xl + i) * 3;
+            t = ((j - nj0) * w + i - ni0) * 3;
+            vA.fromArray(sums, t).normalize().toArray(normals, k);
+        }
+    }
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.normal.needsUpdate = true;
+
+    // The bounds only grow, so they stay correct without checking every vertex.
+    for (j = j0; j <= j1; j++) {
+        for (i = i0; i <= i1; i++) {
+            vA.fromArray(positions, (j * xl + i) * 3);
+            if (geometry.boundingBox) geometry.boundingBox.expandByPoint(vA);
+            if (geometry.boundingSphere) geometry.boundingSphere.expandByPoint(vA);
+        }
+    }
+}
+
+/**
+ * Set the elevations of some vertices of a terrain mesh.
+ *
+ * @param {THREE.Mesh} mesh
+ *   The terrain mesh.
+ * @param {Uint32Array} vertices
+ *   The indices of the vertices to change.
+ * @param {Float32Array} values
+ *   The new elevation of each vertex.
+ */
+function setElevations(mesh, vertices, values) {
+    var positions = mesh.geometry.attributes.position.array,
+        xl = mesh.geometry.parameters.widthSegments + 1,
+        i0 = Infinity,
+        j0 = Infinity,
+        i1 = -Infinity,
+        j1 = -Infinity;
+    for (var v = 0; v < vertices.length; v++) {
+        var k = vertices[v],
+            i = k % xl,
+            j = (k - i) / xl;
+        positions[k * 3 + 2] = values[v];
+        i0 = Math.min(i0, i);
+        j0 = Math.min(j0, j);
+        i1 = Math.max(i1, i);
+        j1 = Math.max(j1, j);
+    }
+    if (vertices.length) updateRegion(mesh, i0, j0, i1, j1);
+}
+
+/**
+ * Sculpt a terrain mesh with a brush.
+ *
+ * Each call applies one stroke (or "dab") of a brush at a world-space
+ * location. Only the vertices under the brush change, and only their normals
+ * and those of their neighbors are recomputed, so this is fast enough to call
+ * every frame while the user drags the mouse across the terrain.
+ *
+ * Usage:
+ *
+ *     raycaster.setFromCamera(mouse, camera);
+ *     var hit = raycaster.intersectObject(terrainScene, true)[0];
+ *     if (hit) {
+ *         var delta = THREE.Terrain.sculpt(terrainScene, hit.point, THREE.Terrain.Brushes.Raise, {
+ *             radius: 50,
+ *             strength: 2,
+ *         });
+ *         // Later...
+ *         THREE.Terrain.undoSculpt(terrainScene, delta);
+ *     }
+ *
+ * @param {THREE.Object3D} terrain
+ *   The return value of a call to {@link THREE.Terrain}(), or the terrain
+ *   mesh itself.
+ * @param {THREE.Vector3} point
+ *   The world-space location of the center of the brush. Only its horizontal
+ *   position is used.
+ * @param {Function} [brush=THREE.Terrain.Brushes.Raise]
+ *   The brush to use. `THREE.Terrain.Brushes` contains the available brushes:
+ *   `Raise`, `Lower`, `Smooth`, `Flatten`, `Noise`, and `Set`.
+ * @param {Object} [params]
+ *   A map of settings for the stroke:
+ *   - `radius`: The radius of the brush, in the terrain's local units (the
+ *     same units as `xSize` and `ySize`). Defaults to the size of four
+ *     segments.
+ *   - `strength`: How much the brush changes the terrain at its center. For
+ *     `Raise`, `Lower`, and `Noise`, this is a distance in the terrain's local
+ *     units; for the other brushes, it is how far to move toward the brush's
+ *     target elevation, from 0 to 1. Defaults to 1.
+ *   - `easing`: A function that determines the falloff of the brush, like the
+ *     `e` parameter of {@link THREE.Terrain.Influence}. Defaults to
+ *     `THREE.Terrain.EaseInOut`.
+ *   - `height`: The target elevation for the `Set` brush (defaults to 0) and
+ *     the `Flatten` brush (defaults to the elevation at the brush's center).
+ *   - `noiseScale`: The size of the features that the `Noise` brush adds.
+ *     Defaults to half of `radius`.
+ *
+ * @return {Object}
+ *   A delta that records the change, which can be passed to
+ *   {@link THREE.Terrain.undoSculpt} and {@link THREE.Terrain.redoSculpt}. It
+ *   has the indices of the changed `vertices` and their elevations `before`
+ *   and `after` the stroke. Returns `null` if the brush doesn't touch the
+ *   terrain.
+ */
+THREE.Terrain.sculpt = function(terrain, point, brush, params) {
+    brush = brush || THREE.Terrain.Brushes.Raise;
+    params = params || {};
+    var mesh = terrain.isMesh ? terrain : terrain.children[0],
+        geometry = mesh.geometry,
+        xSegments = geometry.parameters.widthSegments,
+        ySegments = geometry.parameters.heightSegments,
+        xl = xSegments + 1,
+        yl = ySegments + 1,
+        dx = geometry.parameters.width / xSegments,
+        dy = geometry.parameters.height / ySegments,
+        positions = geometry.attributes.position.array,
+        defaultParams = {
+            radius: Math.max(dx, dy) * 4,
+            strength: 1,
+            easing: THREE.Terrain.EaseInOut,
+        };
+    for (var opt in defaultParams) {
+        if (defaultParams.hasOwnProperty(opt)) {
+            params[opt] = typeof params[opt] === 'undefined' ? defaultParams[opt] : params[opt];
+        }
+    }
+
+    // Find the brush's location in vertex indices.
+    mesh.updateWorldMatrix(true, false);
+    mesh.worldToLocal(localPoint.copy(point));
+    var ci = (localPoint.x + geometry.parameters.width * 0.5) / dx,
+        cj = (geometry.parameters.height * 0.5 - localPoint.y) / dy,
+        i0 = Math.max(Math.ceil(ci - params.radius / dx), 0),
+        i1 = Math.min(Math.floor(ci + params.radius / dx), xSegments),
+        j0 = Math.max(Math.ceil(cj - params.radius / dy), 0),
+        j1 = Math.min(Math.floor(cj + params.radius / dy), ySegments);
+    if (i0 > i1 || j0 > j1) return null;
+
+    // Record the elevations before the stroke, including a border so that
+    // brushes can look at the neighbors of each vertex.
+    var bi0 = Math.max(i0 - 1, 0),
+        bj0 = Math.max(j0 - 1, 0),
+        bw = Math.min(i1 + 1, xSegments) - bi0 + 1,
+        bh = Math.min(j1 + 1, ySegments) - bj0 + 1,
+        original = new Float32Array(bw * bh),
+        i, j;
+    for (j = 0; j < bh; j++) {
+        for (i = 0; i < bw; i++) {
+            original[j * bw + i] = positions[((bj0 + j) * xl + bi0 + i) * 3 + 2];
+        }
+    }
+    var stroke = {
+        params: params,
+        dx: dx,
+        dy: dy,
+        elevation: function(i, j) {
+            i = Math.min(Math.max(i, bi0), bi0 + bw - 1);
+            j = Math.min(Math.max(j, bj0), bj0 + bh - 1);
+            return original[(j - bj0) * bw + i - bi0];
+        },
+    };
+    stroke.centerElevation = stroke.elevation(
+        Math.min(Math.max(Math.round(ci), i0), i1),
+        Math.min(Math.max(Math.round(cj), j0), j1)
+    );
+
+    var vertices = [],
+        before = [],
+        after = [];
+    for (j = j0; j <= j1; j++) {
+        for (i = i0; i <= i1; i++) {
+            var fdx = (i - ci) * dx,
+                fdy = (j - cj) * dy,
+                fdr = Math.sqrt(fdx * fdx + fdy * fdy) / params.radius;
+            if (fdr > 1) continue;
+            var z = stroke.elevation(i, j),
+                newZ = brush(stroke, i, j, 1 - params.easing(fdr));
+            if (newZ === z) continue;
+            vertices.push(j * xl + i);
+            before.push(z);
+            after.push(newZ);
+        }
+    }
+    if (!vertices.length) return null;
+
+    var delta = {
+        vertices: new Uint32Array(vertices),
+        before: new Float32Array(before),
+        after: new Float32Array(after),
+    };
+    setElevations(mesh, delta.vertices, delta.after);
+    return delta;
+};
+
+/**
+ * Undo a stroke applied by {@link THREE.Terrain.sculpt}.
+ *
+ * Strokes should be undone in the reverse of the order they were applied.
+ *
+ * @param {THREE.Object3D} terrain
+ *   The return value of a call to {@link THREE.Terrain}(), or the terrain
+ *   mesh itself.
+ * @param {Object} delta
+ *   The return value of {@link THREE.Terrain.sculpt}.
+ */
+THREE.Terrain.undoSculpt = function(terrain, delta) {
+    setElevations(terrain.isMesh ? terrain : terrain.children[0], delta.vertices, delta.before);
+};
+
+/**
+ * Reapply a stroke undone by {@link THREE.Terrain.undoSculpt}.
+ *
+ * @param {THREE.Object3D} terrain
+ *   The return value of a call to {@link THREE.Terrain}(), or the terrain
+ *   mesh itself.
+ * @param {Object} delta
+ *   The return value of {@link THREE.Terrain.sculpt}.
+ */
+THREE.Terrain.redoSculpt = function(terrain, delta) {
+    setElevations(terrain.isMesh ? terrain : terrain.children[0], delta.vertices, delta.after);
+};
+
+/**
+ * Store the vertices that changed between two versions of a heightmap.
+ *
+ * Edits usually change contiguous rows of vertices, so the indices of the
+ * changed vertices are stored as runs of consecutive indices.
+ *
+ * @param {Number[]} vertices
+ *   The indices of the changed vertices, in ascending order.
+ * @param {Number[]} before
+ *   The elevation of each vertex before the change.
+ * @param {Number[]} after
+ *   The elevation of each vertex after the change.
+ *
+ * @return {Object}
+ *   An object with `runs` (pairs of the first index and length of each run),
+ *   `before`, `after`, and the number of `bytes` used.
+ */
+function compress(vertices, before, after) {
+    var runs = [];
+    for (var v = 0; v < vertices.length; v++) {
+        if (v && vertices[v] === vertices[v - 1] + 1) runs[runs.length - 1]++;
+        else runs.push(vertices[v], 1);
+    }
+    var entry = {
+        runs: new Uint32Array(runs),
+        before: new Float32Array(before),
+        after: new Float32Array(after),
+    };
+    entry.bytes = entry.runs.byteLength + entry.before.byteLength + entry.after.byteLength;
+    return entry;
+}
+
+/**
+ * Get the indices of the vertices in a compressed diff.
+ *
+ * @param {Object} entry
+ *   The return value of `compress()`.
+ *
+ * @return {Uint32Array}
+ *   The indices of the changed vertices.
+ */
+function decompress(entry) {
+    var vertices = new Uint32Array(entry.before.length),
+        v = 0;
+    for (var r = 0; r < entry.runs.length; r += 2) {
+        for (var k = entry.runs[r], l = k + entry.runs[r + 1]; k < l; k++) {
+            vertices[v++] = k;
+        }
+    }
+    return vertices;
+}
+
+/**
+ * Keep a history of changes to a terrain so that they can be undone.
+ *
+ * Changes made by generators, filters, and influences are recorded by running
+ * them through `apply()`, which passes them the terrain's elevations as a 1D
+ * array (the same as {@link THREE.Terrain.toArray1D}) and writes the result
+ * back to the terrain. Strokes from {@link THREE.Terrain.sculpt} are recorded
+ * by passing their deltas to `record()`. Only the vertices that changed are
+ * stored, and the oldest changes are forgotten when the history uses more
+ * memory than its budget.
+ *
+ * Usage:
+ *
+ *     var history = THREE.Terrain.History(terrainScene);
+ *     history.apply(THREE.Terrain.Smooth, options, 0.5);
+ *     history.record(THREE.Terrain.sculpt(terrainScene, point, THREE.Terrain.Brushes.Lower));
+ *     history.undo(); // Undo the stroke
+ *     history.undo(); // Undo the smoothing
+ *     history.redo(); // Redo the smoothing
+ *
+ * @param {THREE.Object3D} terrain
+ *   The return value of a call to {@link THREE.Terrain}(), or the terrain
+ *   mesh itself.
+ * @param {Object} [options]
+ *   A map of settings for the history:
+ *   - `budget`: The maximum number of bytes that the history should use to
+ *     store changes. Defaults to 64 MiB. The most recent change is always
+ *     kept, even if it is larger than the budget.
+ *
+ * @return {Object}
+ *   An object with the following properties:
+ *   - `apply(method, [...args])`: Call `method` with the terrain's elevations
+ *     followed by `args`, write its changes to the terrain, and record them.
+ *     Returns the return value of `method`.
+ *   - `record(deltas)`: Record a delta returned by
+ *     {@link THREE.Terrain.sculpt}, or an array of deltas to undo together
+ *     (e.g. all the strokes of one drag of the mouse). Empty deltas are
+ *     ignored.
+ *   - `undo()`: Undo the most recent change. Returns whether there was a
+ *     change to undo.
+ *   - `redo()`: Redo the most recently undone change. Returns whether there
+ *     was a change to redo. Recording a new change clears the changes that
+ *     can be redone.
+ *   - `canUndo()` and `canRedo()`: Whether there are changes to undo or redo.
+ *   - `clear()`: Forget all changes.
+ *   - `budget`: The maximum number of bytes to use. Can be changed at any
+ *     time.
+ *   - `bytes`: The number of bytes currently used.
+ */
+THREE.Terrain.History = function(terrain, options) {
+    var mesh = terrain.isMesh ? terrain : terrain.children[0],
+        undoStack = [],
+        redoStack = [],
+        history = {
+            budget: options && typeof options.budget === 'number' ? options.budget : 64 * 1024 * 1024,
+            bytes: 0,
+        };
+
+    function push(entry) {
+        if (!entry.before.length) return;
+        for (var r = 0; r < redoStack.length; r++) {
+            history.bytes -= redoStack[r].bytes;
+        }
+        redoStack.length = 0;
+        undoStack.push(entry);
+        history.bytes += entry.bytes;
+        while (history.bytes > history.budget && undoStack.length > 1) {
+            history.bytes -= undoStack.shift().bytes;
+        }
+    }
+
+    history.apply = function(method) {
+        var positions = mesh.geometry.attributes.position.array,
+            zs = THREE.Terrain.toArray1D(positions),
+            original = new Float32Array(zs),
+            args = Array.prototype.slice.call(arguments, 1),
+            result = method.apply(null, [zs].concat(args)),
+            vertices = [],
+            before = [],
+            after = [];
+        for (var k = 0; k < zs.length; k++) {
+            if (zs[k] !== original[k]) {
+                vertices.push(k);
+                before.push(original[k]);
+                after.push(zs[k]);
+            }
+        }
+        var entry = compress(vertices, before, after);
+        setElevations(mesh, decompress(entry), entry.after);
+        push(entry);
+        return result;
+    };
+
+    history.record = function(deltas) {
+        if (!Array.isArray(deltas)) deltas = [deltas];
+        // Merge the deltas, keeping the first elevation before and the last
+        // elevation after each change to a vertex.
+        var before = {},
+            after = {},
+            vertices = [];
+        for (var d = 0; d < deltas.length; d++) {
+            if (!deltas[d]) continue;
+            for (var v = 0; v < deltas[d].vertices.length; v++) {
+                var k = deltas[d].vertices[v];
+                if (!before.hasOwnProperty(k)) {
+                    before[k] = deltas[d].before[v];
+                    vertices.push(k);
+                }
+                after[k] = deltas[d].after[v];
+            }
+        }
+        vertices.sort(function(a, b) { return a - b; });
+        push(compress(
+            vertices,
+            vertices.map(function(k) { return before[k]; }),
+            vertices.map(function(k) { return after[k]; })
+        ));
+    };
+
+    history.undo = function() {
+        if (!undoStack.length) return false;
+        var entry = undoStack.pop();
+        setElevations(mesh, decompress(entry), entry.before);
+        redoStack.push(entry);
+        return true;
+    };
+
+    history.redo = function() {
+        if (!redoStack.length) return false;
+        var entry = redoStack.pop();
+        setElevations(mesh, decompress(entry), entry.after);
+        undoStack.push(entry);
+        return true;
+    };
+
+    history.canUndo = function() {
+        return undoStack.length > 0;
+    };
+
+    history.canRedo = function() {
+        return redoStack.length > 0;
+    };
+
+    history.clear = function() {
+        undoStack.length = 0;
+        redoStack.length = 0;
+        history.bytes = 0;
+    };
+
+    return history;
+};
+
+})();
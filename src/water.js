@@ -0,0 +1,472 @@
+(function() {
+
+/**
+ * Fill the depressions in a heightmap using the "priority-flood" algorithm.
+ *
+ * Starting from the edges, the lowest vertex reached so far is repeatedly
+ * visited, and its unvisited neighbors are raised to at least its height.
+ * Vertices are connected to all eight of their neighbors.
+ *
+ * @param {Float32Array} g
+ *   The geometry's z-positions.
+ * @param {Number} xl
+ *   The number of vertices along the x-axis of the terrain.
+ * @param {Number} yl
+ *   The number of vertices along the y-axis of the terrain.
+ * @param {Int32Array} [outlets]
+ *   If passed, this is filled with the index of the neighbor from which each
+ *   vertex was reached, or -1 for vertices on the edges. Following outlets
+ *   from any vertex leads to an edge over the lowest possible pass.
+ *
+ * @return {Float32Array}
+ *   The filled heightmap.
+ */
+function priorityFlood(g, xl, yl, outlets) {
+    var filled = new Float32Array(g),
+        visited = new Uint8Array(g.length),
+        heap = new THREE.Terrain.PriorityQueue(),
+        i, j, k;
+    for (j = 0; j < yl; j++) {
+        for (i = 0; i < xl; i++) {
+            if (i === 0 || j === 0 || i === xl - 1 || j === yl - 1) {
+                k = j * xl + i;
+                visited[k] = 1;
+                if (outlets) outlets[k] = -1;
+                heap.push(k, filled[k]);
+            }
+        }
+    }
+    while (heap.items.length) {
+        k = heap.pop();
+        var ci = k % xl,
+            cj = (k - ci) / xl;
+        for (j = Math.max(cj - 1, 0); j <= Math.min(cj + 1, yl - 1); j++) {
+            for (i = Math.max(ci - 1, 0); i <= Math.min(ci + 1, xl - 1); i++) {
+                var n = j * xl + i;
+                if (visited[n]) continue;
+                visited[n] = 1;
+                if (filled[n] < filled[k]) filled[n] = filled[k];
+                if (outlets) outlets[n] = k;
+                heap.push(n, filled[n]);
+            }
+        }
+    }
+    return filled;
+}
+
+/**
+ * Fill the depressions in a heightmap up to the level at which they spill.
+ *
+ * Water poured anywhere on the filled heightmap can flow to an edge without
+ * going uphill. Vertices are connected to all eight of their neighbors.
+ *
+ * @param {Float32Array} g
+ *   The geometry's z-positions.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}(). Only `xSegments` and `ySegments` are used.
+ * @param {Int32Array} [outlets]
+ *   If passed, this is filled with the index of the neighbor that each vertex
+ *   drains into on the filled heightmap, or -1 for vertices on the edges.
+ *   Unlike following the steepest slope, following outlets always leads to an
+ *   edge, including across flat areas.
+ *
+ * @return {Float32Array}
+ *   The filled heightmap. Vertices that are in a depression have a higher
+ *   value than in `g`, which is the level of the water that would pool there.
+ */
+THREE.Terrain.FillDepressions = function(g, options, outlets) {
+    return priorityFlood(g, options.xSegments + 1, options.ySegments + 1, outlets);
+};
+
+/**
+ * Find the ponds that would form if water filled the terrain's depressions.
+ *
+ * A pond is an enclosed depression that would hold water instead of spilling
+ * it over an edge of the terrain. Each pond is filled to the level at which
+ * it would overflow into a neighboring pond or down to an edge, or to
+ * `maxFloodHeight` if that is lower. Neighboring ponds that would overflow
+ * into each other are combined into one larger pond.
+ *
+ * @param {Float32Array} g
+ *   The geometry's z-positions.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}(). Only `xSegments` and `ySegments` are used.
+ * @param {Number} [maxFloodHeight=Infinity]
+ *   The highest water level that any pond can have.
+ *
+ * @return {Object[]}
+ *   An array of ponds, each of which is an object with the following
+ *   properties:
+ *   - `level`: The elevation of the surface of the water.
+ *   - `vertices`: An array of the indices in `g` of the vertices under water.
+ *   - `depth`: The largest difference between `level` and the elevation of a
+ *     vertex under water.
+ */
+THREE.Terrain.Ponds = function(g, options, maxFloodHeight) {
+    if (typeof maxFloodHeight !== 'number') maxFloodHeight = Infinity;
+    var xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        filled = THREE.Terrain.FillDepressions(g, options),
+        assigned = new Uint8Array(g.length),
+        ponds = [],
+        stack = [];
+    for (var k = 0; k < g.length; k++) {
+        var level = Math.min(filled[k], maxFloodHeight);
+        if (assigned[k] || g[k] >= level) continue;
+
+        // Flood-fill the connected vertices under water. All of them have the
+        // same filled level, since they would overflow into each other.
+        var pond = {level: level, vertices: [], depth: 0};
+        assigned[k] = 1;
+        stack.push(k);
+        while (stack.length) {
+            var c = stack.pop(),
+                ci = c % xl,
+                cj = (c - ci) / xl;
+            pond.vertices.push(c);
+            if (level - g[c] > pond.depth) pond.depth = level - g[c];
+            for (var j = Math.max(cj - 1, 0); j <= Math.min(cj + 1, yl - 1); j++) {
+                for (var i = Math.max(ci - 1, 0); i <= Math.min(ci + 1, xl - 1); i++) {
+                    var n = j * xl + i;
+                    if (!assigned[n] && g[n] < Math.min(filled[n], maxFloodHeight)) {
+                        assigned[n] = 1;
+                        stack.push(n);
+                    }
+                }
+            }
+        }
+        ponds.push(pond);
+    }
+    return ponds;
+};
+
+/**
+ * Create water surfaces for ponds.
+ *
+ * Each pond gets a flat mesh covering every cell of the terrain that touches
+ * a vertex under water. The mesh extends slightly past the shore, where the
+ * terrain is higher than the water and hides it, so that the shoreline follows
+ * the terrain instead of the grid.
+ *
+ * Usage:
+ *
+ *     var ponds = THREE.Terrain.Ponds(
+ *         THREE.Terrain.toArray1D(terrainScene.children[0].geometry.attributes.position.array),
+ *         options
+ *     );
+ *     THREE.Terrain.PondMeshes(terrainScene, ponds, options);
+ *
+ * @param {THREE.Object3D} terrainScene
+ *   The return value of a call to {@link THREE.Terrain}(). The water surfaces
+ *   are added to it so that they are positioned and rotated with the terrain.
+ * @param {Object[]} ponds
+ *   The ponds to cover with water, as returned by {@link THREE.Terrain.Ponds}.
+ * @param {Object} options
+ *   The map of settings that were passed to {@link THREE.Terrain}() to
+ *   construct the terrain. Only `xSize`, `ySize`, `xSegments`, and `ySegments`
+ *   are used.
+ * @param {THREE.Material} [material]
+ *   The material for the water surfaces. Defaults to a translucent blue
+ *   `THREE.MeshLambertMaterial`.
+ *
+ * @return {THREE.Object3D}
+ *   An object containing one `THREE.Mesh` per pond, which has been added to
+ *   `terrainScene`. Each mesh's `position.z` is the water level of its pond
+ *   and its `userData.pond` is the pond object.
+ */
+THREE.Terrain.PondMeshes = function(terrainScene, ponds, options, material) {
+    var xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        dx = options.xSize / options.xSegments,
+        dy = options.ySize / options.ySegments,
+        water = new THREE.Object3D(),
+        cells = new Uint8Array(options.xSegments * options.ySegments);
+    material = material || new THREE.MeshLambertMaterial({color: 0x006ba0, transparent: true, opacity: 0.6});
+    for (var p = 0; p < ponds.length; p++) {
+        var vertices = ponds[p].vertices,
+            positions = [],
+            indices = [],
+            used = [],
+            k, i, j;
+        cells.fill(0);
+        for (k = 0; k < vertices.length; k++) {
+            var vi = vertices[k] % xl,
+                vj = (vertices[k] - vi) / xl;
+            for (j = Math.max(vj - 1, 0); j <= Math.min(vj, yl - 2); j++) {
+                for (i = Math.max(vi - 1, 0); i <= Math.min(vi, xl - 2); i++) {
+                    cells[j * options.xSegments + i] = 1;
+                }
+            }
+        }
+        // Add each vertex of the covered cells once.
+        for (j = 0; j < yl - 1; j++) {
+            for (i = 0; i < xl - 1; i++) {
+                if (!cells[j * options.xSegments + i]) continue;
+                var corners = [j * xl + i, (j + 1) * xl + i, (j + 1) * xl + i + 1, j * xl + i + 1];
+                for (var c = 0; c < 4; c++) {
+                    k = corners[c];
+                    if (typeof used[k] === 'undefined') {
+                        var ci = k % xl;
+                        used[k] = positions.length / 3;
+                        positions.push(ci * dx - options.xSize * 0.5, options.ySize * 0.5 - (k - ci) / xl * dy, 0);
+                    }
+                    corners[c] = used[k];
+                }
+                // Same triangulation as THREE.PlaneGeometry.
+                indices.push(corners[0], corners[1], corners[3], corners[1], corners[2], corners[3]);
+            }
+        }
+        var geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        var mesh = new THREE.Mesh(geometry, material);
+        mesh.position.z = ponds[p].level;
+        mesh.userData.pond = ponds[p];
+        water.add(mesh);
+    }
+    terrainScene.add(water);
+    return water;
+};
+
+/**
+ * Generate rivers that flow downhill from high ground and carve channels.
+ *
+ * Each river starts at a random vertex above `sourceHeight` and follows the
+ * path of steepest descent. When it reaches a depression it breaches the
+ * lowest pass out of the depression (lowering the terrain along its path)
+ * instead of stopping. It ends at an edge of the terrain or where it joins
+ * another river, whose flow then increases downstream of the confluence.
+ *
+ * The channels are carved with the profile `-e^(-(2x)^2)`, where `x` is the
+ * distance from the river divided by its width, so their banks blend smoothly
+ * into the terrain. Rivers get wider and deeper as their flow grows: the width
+ * and depth at each point are proportional to the square root of the number of
+ * vertices that the river and its tributaries have passed upstream.
+ *
+ * @param {Float32Array} g
+ *   The geometry's z-positions to modify with heightmap data.
+ * @param {Object} options
+ *   A map of settings that control how the terrain is constructed and
+ *   displayed. Valid values are the same as those for the `options` parameter
+ *   of {@link THREE.Terrain}(). Only `xSize`, `ySize`, `xSegments`,
+ *   `ySegments`, and `random` are used.
+ * @param {Object} [params]
+ *   A map of settings for the rivers:
+ *   - `count`: The number of rivers to start. Defaults to 5.
+ *   - `sourceHeight`: How high rivers can start, as a fraction of the way from
+ *     the lowest to the highest point of the terrain. Defaults to 0.6.
+ *   - `width`: The width of a river at its source. Defaults to the size of one
+ *     segment.
+ *   - `maxWidth`: The largest width of a river. Defaults to eight times
+ *     `width`.
+ *   - `depth`: The depth of a river's channel at its source. Defaults to 0.5%
+ *     of the difference between the lowest and highest points of the terrain.
+ *   - `maxDepth`: The largest depth of a river's channel. Defaults to eight
+ *     times `depth`.
+ *
+ * @return {Object}
+ *   An object with the following properties:
+ *   - `heightmap`: The modified heightmap, which is `g`.
+ *   - `rivers`: An array of rivers. Each river is an object with a `points`
+ *     property, an array of objects with these properties:
+ *     - `position`: A `THREE.Vector3` at the bottom of the channel in the
+ *       terrain mesh's local space, like the positions of the terrain
+ *       vertices.
+ *     - `width`: The width of the river at this point.
+ *     - `depth`: The depth of the channel at this point.
+ *     - `flow`: The number of vertices upstream of this point.
+ *     - `vertex`: The index in `g` of the vertex the river passes through.
+ *     Each river also has a `joins` property, which is the index in `rivers`
+ *     of the river it flows into, or -1 if it ends at an edge.
+ */
+THREE.Terrain.Rivers = function(g, options, params) {
+    var xl = options.xSegments + 1,
+        yl = options.ySegments + 1,
+        dx = options.xSize / options.xSegments,
+        dy = options.ySize / options.ySegments,
+        min = Infinity,
+        max = -Infinity,
+        k;
+    for (k = 0; k < g.length; k++) {
+        if (g[k] < min) min = g[k];
+        if (g[k] > max) max = g[k];
+    }
+    var defaultParams = {
+        count: 5,
+        sourceHeight: 0.6,
+        width: Math.min(dx, dy),
+        depth: (max - min) * 0.005,
+    };
+    params = params || {};
+    for (var opt in defaultParams) {
+        if (defaultParams.hasOwnProperty(opt)) {
+            params[opt] = typeof params[opt] === 'undefined' ? defaultParams[opt] : params[opt];
+        }
+    }
+    if (typeof params.maxWidth !== 'number') params.maxWidth = params.width * 8;
+    if (typeof params.maxDepth !== 'number') params.maxDepth = params.depth * 8;
+
+    var random = THREE.Terrain.getRandom(options),
+        outlets = new Int32Array(g.length),
+        // The river and point index of each vertex a river passes through.
+        owners = new Int32Array(g.length).fill(-1),
+        ownerPoints = new Int32Array(g.length),
+        sources = [],
+        rivers = [],
+        river, p, i, j;
+    priorityFlood(g, xl, yl, outlets);
+
+    for (k = 0; k < g.length; k++) {
+        i = k % xl;
+        j = (k - i) / xl;
+        if (i && j && i < xl - 1 && j < yl - 1 && g[k] >= min + (max - min) * params.sourceHeight) {
+            sources.push(k);
+        }
+    }
+
+    // Trace each river's path.
+    while (rivers.length < params.count && sources.length) {
+        var s = Math.floor(random() * sources.length),
+            c = sources[s],
+            stuckAt = Infinity;
+        sources[s] = sources[sources.length - 1];
+        sources.pop();
+        if (owners[c] !== -1) continue;
+        river = {points: [], joins: -1, tributaries: []};
+        while (true) {
+            if (owners[c] === rivers.length) {
+                // The way out of a depression can go back up the way the river
+                // came in, so remove the loop.
+                var loop = river.points.splice(ownerPoints[c] + 1);
+                for (p = 0; p < loop.length; p++) {
+                    owners[loop[p].vertex] = -1;
+                }
+            }
+            else {
+                river.points.push({vertex: c, flow: 0});
+                if (owners[c] !== -1) {
+                    river.joins = owners[c];
+                    rivers[owners[c]].tributaries.push({point: ownerPoints[c], river: river});
+                    break;
+                }
+                owners[c] = rivers.length;
+                ownerPoints[c] = river.points.length - 1;
+            }
+            i = c % xl;
+            j = (c - i) / xl;
+            if (!i || !j || i === xl - 1 || j === yl - 1) break;
+
+            // Follow the steepest slope downhill. If the river has reached a
+            // depression, follow the lowest pass out of it instead until
+            // there is lower ground than the bottom of the depression.
+            var next = -1;
+            if (g[c] < stuckAt) {
+                var steepest = 0;
+                stuckAt = Infinity;
+                for (var nj = j - 1; nj <= j + 1; nj++) {
+                    for (var ni = i - 1; ni <= i + 1; ni++) {
+                        var n = nj * xl + ni,
+                            slope = (g[c] - g[n]) / Math.sqrt((ni - i) * (ni - i) * dx * dx + (nj - j) * (nj - j) * dy * dy);
+                        if (slope > steepest) {
+                            steepest = slope;
+                            next = n;
+                        }
+                    }
+                }
+                if (next === -1) stuckAt = g[c];
+            }
+            c = next === -1 ? outlets[c] : next;
+        }
+        rivers.push(river);
+    }
+
+    // Rivers only join rivers that were traced before them, so going
+    // backwards, each river's tributaries are finished before the river.
+    for (var r = rivers.length - 1; r >= 0; r--) {
+        river = rivers[r];
+        var flow = 0,
+            last = river.joins === -1 ? river.points.length : river.points.length - 1;
+        river.tributaries.sort(function(a, b) { return a.point - b.point; });
+        for (p = 0, k = 0; p < last; p++) {
+            flow++;
+            for (; k < river.tributaries.length && river.tributaries[k].point === p; k++) {
+                var tributary = river.tributaries[k].river;
+                flow += tributary.points[tributary.points.length - 1].flow;
+            }
+            river.points[p].flow = flow;
+        }
+        // The last point of a tributary is on the river it joins.
+        if (last < river.points.length) river.points[last].flow = flow;
+        delete river.tributaries;
+    }
+
+    // Work out the shape of each channel. The bed never goes uphill, which
+    // breaches the passes out of depressions.
+    var source = new Float32Array(g);
+    for (r = 0; r < rivers.length; r++) {
+        var points = rivers[r].points,
+            bed = Infinity;
+        for (p = 0; p < points.length; p++) {
+            var point = points[p];
+            k = point.vertex;
+            i = k % xl;
+            bed = Math.min(bed, source[k]);
+            point.width = Math.min(params.width * Math.sqrt(point.flow), params.maxWidth);
+            point.depth = Math.min(params.depth * Math.sqrt(point.flow), params.maxDepth);
+            point.position = new THREE.Vector3(
+                i * dx - options.xSize * 0.5,
+                options.ySize * 0.5 - (k - i) / xl * dy,
+                bed - point.depth
+            );
+        }
+    }
+
+    // Carve each segment of each river into the terrain, keeping the
+    // deepest cut where channels overlap.
+    var closest = new THREE.Vector3(),
+        vertex = new THREE.Vector3(),
+        segment = new THREE.Line3();
+    for (r = 0; r < rivers.length; r++) {
+        for (p = 1; p < rivers[r].points.length; p++) {
+            var a = rivers[r].points[p - 1],
+                b = rivers[r].points[p],
+                // Beyond 1.5 widths, the profile is less than 0.01% deep.
+                reach = Math.max(a.width, b.width) * 1.5;
+            // Project onto the segment in 2D so the channel's depth doesn't
+            // pull the closest point toward its lower end.
+            segment.start.set(a.position.x, a.position.y, 0);
+            segment.end.set(b.position.x, b.position.y, 0);
+            for (j = Math.max(Math.floor((options.ySize * 0.5 - Math.max(a.position.y, b.position.y) - reach) / dy), 0); j < yl; j++) {
+                var y = options.ySize * 0.5 - j * dy;
+                if (y < Math.min(a.position.y, b.position.y) - reach) break;
+                for (i = Math.max(Math.floor((Math.min(a.position.x, b.position.x) + options.xSize * 0.5 - reach) / dx), 0); i < xl; i++) {
+                    var x = i * dx - options.xSize * 0.5;
+                    if (x > Math.max(a.position.x, b.position.x) + reach) break;
+                    vertex.set(x, y, 0);
+                    var t = segment.closestPointToPointParameter(vertex, true);
+                    segment.at(t, closest);
+                    var width = a.width + (b.width - a.width) * t,
+                        bottom = a.position.z + (b.position.z - a.position.z) * t,
+                        d = Math.sqrt((closest.x - x) * (closest.x - x) + (closest.y - y) * (closest.y - y)) / width,
+                        weight = Math.exp(-4 * d * d),
+                        carved;
+                    k = j * xl + i;
+                    carved = source[k] + (bottom - source[k]) * weight;
+                    if (carved < g[k]) g[k] = carved;
+                }
+            }
+        }
+    }
+
+    return {
+        heightmap: g,
+        rivers: rivers,
+    };
+};
+
+})();
@@ -73,13 +73,20 @@
      *     centroids. Available methods include
      *     `THREE.Terrain.Worley.randomPoints` (the default),
      *     `THREE.Terrain.Worley.PoissonDisks`, and any function that returns
-     *     an array of `THREE.Vector2` instances. You can wrap the PoissonDisks
-     *     function to use custom parameters.
+     *     an array of `THREE.Vector2` instances. The function is called with
+     *     the number of x- and y-segments of the terrain, the `worleyPoints`
+     *     option, and the random number generator to use. You can wrap the
+     *     PoissonDisks function to use custom parameters.
      *   - `worleyPoints`: The number of Voronoi cells to use (must be at least
      *     one). Calculated by default based on the size of the terrain.
      */
     THREE.Terrain.Worley = function(g, options) {
-        var points = (options.worleyDistribution || THREE.Terrain.Worley.randomPoints)(options.xSegments, options.ySegments, options.worleyPoints),
+        var points = (options.worleyDistribution || THREE.Terrain.Worley.randomPoints)(
+                options.xSegments,
+                options.ySegments,
+                options.worleyPoints,
+                THREE.Terrain.getRandom(options)
+            ),
             transform = options.worleyDistanceTransformation || function(d) { return -d; },
             currentCoords = new THREE.Vector2(0, 0);
         // The height of each heightmap vertex is the distance to the closest Voronoi centroid
@@ -100,14 +107,28 @@
 
     /**
      * Randomly distribute points in space.
+     *
+     * @param {Number} width
+     *   The width of the area in which to place points.
+     * @param {Number} height
+     *   The height of the area in which to place points.
+     * @param {Number} [numPoints]
+     *   The number of points to place. Calculated by default based on the size
+     *   of the area.
+     * @param {Function} [random=Math.random]
+     *   The random number generator to use.
+     *
+     * @return {THREE.Vector2[]}
+     *   An array of points.
      */
-    THREE.Terrain.Worley.randomPoints = function(width, height, numPoints) {
+    THREE.Terrain.Worley.randomPoints = function(width, height, numPoints, random) {
         numPoints = numPoints || Math.floor(Math.sqrt(width * height * 0.025)) || 1;
+        random = random || Math.random;
         var points = new Array(numPoints);
         for (var i = 0; i < numPoints; i++) {
             points[i] = new THREE.Vector2(
-                Math.random() * width,
-                Math.random() * height
+                random() * width,
+                random() * height
             );
         }
         return points;
@@ -115,8 +136,8 @@
 
     /* Utility functions for Poisson Disks. */
 
-    function removeAndReturnRandomElement(arr) {
-        return arr.splice(Math.floor(Math.random() * arr.length), 1)[0];
+    function removeAndReturnRandomElement(arr, random) {
+        return arr.splice(Math.floor(random() * arr.length), 1)[0];
     }
 
     function putInGrid(grid, point, cellSize) {
@@ -151,9 +172,9 @@
         return false;
     }
 
-    function generateRandomPointAround(point, minDist) {
-        var radius = minDist * (Math.random() + 1),
-            angle = 2 * Math.PI * Math.random();
+    function generateRandomPointAround(point, minDist, random) {
+        var radius = minDist * (random() + 1),
+            angle = 2 * Math.PI * random();
         return new THREE.Vector2(
             point.x + radius * Math.cos(angle),
             point.y + radius * Math.sin(angle)
@@ -164,20 +185,28 @@
      * Generate a set of points using Poisson disk sampling.
      *
      * Useful for clustering scattered meshes and Voronoi cells for Worley noise.
+     * The minimum distance between points is calculated from the size of the
+     * area.
      *
      * Ported from pseudocode at http://devmag.org.za/2009/05/03/poisson-disk-sampling/
      *
-     * @param {Object} options
-     *   A map of settings that control how the resulting noise should be generated
-     *   (with the same parameters as the `options` parameter to the
-     *   `THREE.Terrain` function).
+     * @param {Number} width
+     *   The width of the area in which to place points.
+     * @param {Number} height
+     *   The height of the area in which to place points.
+     * @param {Number} [numPoints]
+     *   The maximum number of points to place. Calculated by default based on
+     *   the size of the area.
+     * @param {Function} [random=Math.random]
+     *   The random number generator to use.
      *
      * @return {THREE.Vector2[]}
      *   An array of points.
      */
-    THREE.Terrain.Worley.PoissonDisks = function(width, height, numPoints, minDist) {
+    THREE.Terrain.Worley.PoissonDisks = function(width, height, numPoints, random) {
         numPoints = numPoints || Math.floor(Math.sqrt(width * height * 0.2)) || 1;
-        minDist = Math.sqrt((width + height) * 2.5);
+        if (typeof random !== 'function') random = Math.random;
+        var minDist = Math.sqrt((width + height) * 2.5);
         if (minDist > numPoints * 0.67) minDist = numPoints * 0.67;
         var cellSize = minDist / Math.sqrt(2);
         if (cellSize < 2) cellSize = 2;
@@ -188,8 +217,8 @@
             samplePoints = [];
 
         var firstPoint = new THREE.Vector2(
-            Math.random() * width,
-            Math.random() * height
+            random() * width,
+            random() * height
         );
         processList.push(firstPoint);
         samplePoints.push(firstPoint);
@@ -197,10 +226,10 @@
 
         var count = 0;
         while (processList.length) {
-            var point = removeAndReturnRandomElement(processList);
+            var point = removeAndReturnRandomElement(processList, random);
             for (var i = 0; i < numPoints; i++) {
                 // optionally, minDist = perlin(point.x / width, point.y / height)
-                var newPoint = generateRandomPointAround(point, minDist);
+                var newPoint = generateRandomPointAround(point, minDist, random);
                 if (inRectangle(newPoint, width, height) && !inNeighborhood(grid, newPoint, minDist, cellSize)) {
                     processList.push(newPoint);
                     samplePoints.push(newPoint);
@@ -42,6 +42,11 @@ var heightmaps = [
       'roughness.terrainRuggednessIndex',
       'roughness.jaggedness',
       'fittedPlane.slope',
+      'landforms.peak',
+      'landforms.pit',
+      'landforms.saddle',
+      'landforms.ridge',
+      'landforms.valley',
     ],
     mat = new THREE.MeshBasicMaterial({color: 0x5566aa, wireframe: true}),
     heightmapImage = new Image(),